@@ -1,47 +1,127 @@
 /****************************************************
- * Gmail → ZIP (GASunzip) → Email TXT  [V8 runtime]
+ * Gmail → ZIP → Email TXT  [V8 runtime]
  *
- * Requires the GASunzip library (ID below) and the following
- * Script Properties (File → Project properties → Script properties):
+ * ZIPs (Store/Deflate, ZipCrypto or AES, ZIP64) are extracted by the built-in reader;
+ * the GASunzip library (ID below) is optional and only used for other
+ * compression methods. Script Properties (File → Project properties → Script properties):
  *
  *   ALLOWED_SENDER             (optional)  e.g. sender@example.com
- *   GMAIL_QUERY                (optional)  default below
- *   ZIP_PASSWORD               (optional)  leave blank if no password
+ *   GMAIL_QUERY                (optional)  default below (a body-aware default when MAIL_BODY_LEADS is on).
+ *                                          The default also picks up bare .txt/.csv attachments, so any such file
+ *                                          (signature, log export …) from an allowed sender is parsed and, lacking
+ *                                          REQUIRED_FIELDS, quarantined; set ALLOWED_SENDER or narrow the query
+ *   MAIL_BODY_LEADS            (optional)  "true" to read the 【査定依頼日時・査定依頼番号】 block from the mail body
+ *                                          when a message has no ZIP/TXT/CSV attachment
+ *   ZIP_PASSWORD               (optional)  leave blank if no password; tried last for encrypted ZIPs
+ *   ZIP_PASSWORD_KEYRING       (optional)  JSON { "sender@example.jp": ["pw1", "pw2"], "dealer.example.jp": "pw", "*": [...] };
+ *                                          tried in order: address, domain (then parent domains), "*"
+ *   PASSWORD_MAIL_WINDOW_MS    (optional)  default: 7200000; how far apart a ZIP and its password mail
+ *                                          ("パスワードのお知らせ") may be. An encrypted ZIP stays pending this long
+ *                                          while no password works, then gets NEEDS_PASSWORD_LABEL. "0" disables pairing
+ *   PASSWORD_MAIL_QUERY        (optional)  default: "(パスワード OR password OR PW OR 解凍)"; Gmail search for
+ *                                          candidates, narrowed to the ZIP's sender and the window
+ *   PASSWORD_MAIL_PATTERNS     (optional)  JSON array of regex sources; capture group 1 is the password
  *   PROCESSED_LABEL            (optional)  default: "Unzip/processed"
+ *   NEEDS_PASSWORD_LABEL       (optional)  default: "Unzip/needs-password"; added next to PROCESSED_LABEL when no
+ *                                          password opens a ZIP after the password-mail window. Add the password
+ *                                          (e.g. to ZIP_PASSWORD_KEYRING) and remove both labels to retry
  *   SEARCH_TIMEZONE            (optional)  default: "Asia/Tokyo"
  *   TARGET_DATE_OVERRIDE       (optional)  e.g. "2025-10-24" to reprocess that day
+ *   ZIP_MAX_DEPTH              (optional)  default: 3; ZIP-in-ZIP levels to unpack (1 = outer archive only)
+ *   ZIP_MAX_UNCOMPRESSED_BYTES (optional)  default: 52428800 (50 MB); total unpacked size per attachment, all levels
+ *   MAX_RUNTIME_MS             (optional)  default: 270000; stop picking up messages after this
+ *   RETRY_MAX_ATTEMPTS         (optional)  default: 4; attempts per Gmail/Salesforce call on transient errors
+ *                                          (Salesforce inserts only on 429/503/REQUEST_LIMIT_EXCEEDED, never on timeouts)
+ *   RETRY_BASE_DELAY_MS        (optional)  default: 1000; first backoff step (doubles per attempt, jittered)
+ *   RETRY_MAX_DELAY_MS         (optional)  default: 32000; cap per wait, longer Retry-After values are not honored
+ *   REQUIRED_FIELDS            (optional)  default: "assessmentNumber,customerName,phone|email";
+ *                                          parsed paths, "|" = any of; "none" disables quarantine. A malformed
+ *                                          phone/email still counts (it is sent raw and flagged in comment__c);
+ *                                          use normalized.phone|normalized.email to require a valid one
  *
- * Salesforce auth (password grant; password must include security token):
- *   SALESFORCE_LOGIN_URL       (optional)  default: https://login.salesforce.com
+ * Salesforce auth (SALESFORCE_AUTH_FLOW selects the grant):
+ *   SALESFORCE_AUTH_FLOW       (optional)  "password" (default), "jwt", "client_credentials" or "refresh_token"
+ *   SALESFORCE_LOGIN_URL       (optional)  default: https://login.salesforce.com (My Domain URL for client_credentials)
+ *   SALESFORCE_JWT_AUDIENCE    (jwt, optional) JWT "aud"; default https://test.salesforce.com for sandbox login
+ *                                          URLs (test.salesforce.com, *.sandbox.my.salesforce.com), else login.salesforce.com
  *   SALESFORCE_INSTANCE_URL    (optional)  e.g. https://your-domain.my.salesforce.com
- *   SALESFORCE_CLIENT_ID       (required)
- *   SALESFORCE_CLIENT_SECRET   (required)
- *   SALESFORCE_USERNAME        (required)
- *   SALESFORCE_PASSWORD        (required)  (password + security token)
+ *   SALESFORCE_CLIENT_ID       (required)  consumer key (all flows)
+ *   SALESFORCE_CLIENT_SECRET   (password, client_credentials; optional for refresh_token)
+ *   SALESFORCE_USERNAME        (password, jwt)
+ *   SALESFORCE_PASSWORD        (password)  password + security token
+ *   SALESFORCE_PRIVATE_KEY     (jwt)       PEM private key matching the connected app certificate
+ *   SALESFORCE_REFRESH_TOKEN   (refresh_token)
+ *   SALESFORCE_TOKEN_TTL_MS    (optional)  default: 3600000; how long a cached access token is reused
  *   SALESFORCE_API_VERSION     (optional)  default: "65.0"
  *   SALESFORCE_SOBJECT         (optional)  default: "Mail2X__c"
  *   SALESFORCE_API_PATH        (optional)  override path; if set, used verbatim instead of sObject insert path
+ *                                          (single-record inserts only; ignored by upsert and batch writes)
+ *   SALESFORCE_WRITE_MODE      (optional)  "insert" (default) or "upsert"
+ *   SALESFORCE_EXTERNAL_ID_FIELD (optional) default: "AssessmentNumber__c"; upsert key (ignores SALESFORCE_API_PATH)
+ *   SALESFORCE_BATCH_WRITES    (optional)  "true" to send each ZIP's records through sObject Collections
+ *                                          (200 records per request; larger batches are split)
+ *   SALESFORCE_ALL_OR_NONE     (optional)  "true" to roll back the whole batch when any record fails; a batch
+ *                                          over 200 records or with a record missing the upsert key is
+ *                                          failed as a whole without being sent
+ *   SALESFORCE_FIELD_MAPPING   (optional)  JSON { "Field__c": spec } — see DEFAULT_FIELD_MAPPING for the spec forms
+ *   SALESFORCE_FIELD_MAPPING_MERGE (optional) default: "true"; "false" replaces the default mapping entirely
+ *
+ * Records Salesforce rejects are kept as DEAD_LETTER_<uuid> Script Properties;
+ * run listDeadLetters() to inspect them and replayDeadLetters() to re-post.
+ * Script Properties hold 9 KB per value and 500 KB in total; a record that cannot
+ * be stored is logged in full (📮❌, payload included) and skipped, so the rest of
+ * the attachment still completes and is not re-sent on the next run.
+ * Leads missing REQUIRED_FIELDS are kept as QUARANTINE_<uuid> instead of being
+ * inserted; listQuarantined() / releaseQuarantined() work the same way. Quarantine
+ * is on by default (REQUIRED_FIELDS=none turns it off) and shares the same Script
+ * Properties budget as dead letters, so release or delete old entries regularly.
  ****************************************************/
 
 const PROPS = PropertiesService.getScriptProperties();
 
 const DEFAULTS = {
-  gmailQuery: 'in:anywhere has:attachment filename:zip newer_than:2d',
+  gmailQuery: 'in:anywhere has:attachment {filename:zip filename:txt filename:csv} newer_than:2d',
+  gmailBodyQuery: 'in:anywhere {filename:zip filename:txt filename:csv 査定依頼番号} newer_than:2d',
+  mailBodyLeads: false,
   processedLabel: 'Unzip/processed',
+  needsPasswordLabel: 'Unzip/needs-password',
   searchTimezone: 'Asia/Tokyo',
   salesforceApiVersion: '65.0',
   salesforceLoginUrl: 'https://login.salesforce.com',
   salesforceSobject: 'Mail2X__c',
-  salesforceApiPath: ''
+  salesforceApiPath: '',
+  salesforceAuthFlow: 'password',
+  salesforceTokenTtlMs: 60 * 60 * 1000,
+  salesforceWriteMode: 'insert',
+  salesforceExternalIdField: 'AssessmentNumber__c',
+  salesforceBatchWrites: false,
+  salesforceAllOrNone: false,
+  zipMaxDepth: 3,
+  zipMaxUncompressedBytes: 50 * 1024 * 1024,
+  maxRuntimeMs: 270000,
+  retryMaxAttempts: 4,
+  retryBaseDelayMs: 1000,
+  retryMaxDelayMs: 32000,
+  requiredFields: 'assessmentNumber,customerName,phone|email',
+  passwordMailWindowMs: 2 * 60 * 60 * 1000,
+  passwordMailQuery: '(パスワード OR password OR PW OR 解凍)'
 };
 
 const STATE_KEYS = {
   lastTs: 'LAST_PROCESSED_INTERNAL_TS',
   lastId: 'LAST_PROCESSED_MESSAGE_ID',
-  processedLabelCache: 'PROCESSED_LABEL_ID_CACHE'
+  processedLabelCache: 'PROCESSED_LABEL_ID_CACHE',
+  needsPasswordLabelCache: 'NEEDS_PASSWORD_LABEL_ID_CACHE',
+  zipKeyHits: 'ZIP_KEYRING_HITS',
+  salesforceAuthCache: 'SALESFORCE_AUTH_CACHE',
+  attachmentsDonePrefix: 'ATTACHMENTS_DONE_',
+  deadLetterPrefix: 'DEAD_LETTER_',
+  quarantinePrefix: 'QUARANTINE_'
 };
 
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const SALESFORCE_COLLECTION_LIMIT = 200;
+const PENDING_SCAN_LIMIT = 200;
 
 /** ────────────────────────────────────────────────
  *  High-level entrypoints
@@ -55,91 +135,351 @@ function unzipNewestZipFromGmail_V8(targetDate) {
   }
 
   try {
-  const config = loadRuntimeConfig_();
-  const windowInfo = resolveProcessingWindow_(targetDate, config);
-  const searchQuery = buildSearchQuery_(config.gmailQuery, config.processedLabel, windowInfo);
-  const lastState = getLastProcessedState_();
+    const startedAt = Date.now();
+    const config = loadRuntimeConfig_();
+    const windowInfo = resolveProcessingWindow_(targetDate, config);
+    const searchQuery = buildSearchQuery_(config.gmailQuery, config.processedLabel, windowInfo);
+    const lastState = getLastProcessedState_();
 
     console.info(`🛠 Using Script Property date override: ${windowInfo.sourceProperty || 'none'}`);
     console.info(`📅 Processing date: ${windowInfo.label}${windowInfo.overrideApplied ? ' (override)' : ''}`);
     console.info(`🔎 Searching: ${searchQuery}`);
 
-    const message = findNewestZipMessage_(searchQuery, lastState, config.processedLabelId);
-    if (!message) {
-      console.info('⏹️ No new ZIP attachments matched the query.');
+    const pending = findPendingZipMessages_(searchQuery, lastState, config.processedLabelId, config, startedAt);
+    if (!pending.length) {
+      console.info('⏹️ No new ZIP/TXT/CSV attachments matched the query.');
+      return;
+    }
+    console.info(`📬 ${pending.length} pending message(s); processing oldest first.`);
+
+    const results = drainPendingMessages_(pending, config, startedAt);
+    logRunSummary_(results, pending.length);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Processes pending messages oldest first until MAX_RUNTIME_MS is spent. Full
+ * messages are fetched here, one at a time, so downloads count against the budget.
+ */
+function drainPendingMessages_(pending, config, startedAt) {
+  const results = [];
+  for (let i = 0; i < pending.length; i++) {
+    const elapsed = Date.now() - startedAt;
+    if (elapsed >= config.maxRuntimeMs) {
+      console.warn(`⏱ Runtime budget reached (${elapsed}ms ≥ ${config.maxRuntimeMs}ms); ${pending.length - i} message(s) left for the next run.`);
+      break;
+    }
+    const message = fetchPendingMessage_(pending[i], config);
+    if (message) results.push(processZipMessage_(message, config));
+  }
+  return results;
+}
+
+function cron_unzip_every_15min() {
+  unzipNewestZipFromGmail_V8();
+}
+
+/**
+ * Re-posts dead-lettered Salesforce records. Pass an ID, a comma-separated
+ * list or an array of IDs to replay a selection; no argument replays everything.
+ * Entries are removed once Salesforce accepts them.
+ */
+function replayDeadLetters(ids) {
+  replayParkedEntries_(STATE_KEYS.deadLetterPrefix, ids, 'dead-letter');
+}
+
+/**
+ * Posts quarantined records (leads that failed REQUIRED_FIELDS) as they are,
+ * e.g. after checking them by hand. Same ID selection rules as replayDeadLetters().
+ */
+function releaseQuarantined(ids) {
+  replayParkedEntries_(STATE_KEYS.quarantinePrefix, ids, 'quarantine');
+}
+
+function replayParkedEntries_(prefix, ids, kind) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    console.warn(`⚠️ Another execution in progress; skipping ${kind} replay.`);
+    return;
+  }
+
+  try {
+    const config = loadRuntimeConfig_();
+    const wanted = normalizeParkedIds_(ids);
+    const entries = listParkedEntries_(prefix).filter(e => !wanted.length || wanted.indexOf(e.id) !== -1);
+    if (!entries.length) {
+      console.info(`⏹️ No ${kind} entries to replay.`);
       return;
     }
+    console.info(`♻️ Replaying ${entries.length} ${kind} entr${entries.length === 1 ? 'y' : 'ies'}.`);
+
+    const records = writeSalesforceRecords_(entries.map(e => ({ name: e.txtName, payload: e.payload })), config);
+    let replayed = 0;
+    records.forEach((record, idx) => {
+      const entry = entries[idx];
+      if (record.outcome === 'error') {
+        updateParkedFailure_(prefix, entry, record);
+      } else {
+        deleteParkedEntry_(prefix, entry.id);
+        replayed++;
+      }
+    });
+    console.info(`🏁 Replay finished. replayed=${replayed} stillFailing=${entries.length - replayed}`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function listDeadLetters() {
+  return logParkedEntries_(STATE_KEYS.deadLetterPrefix, 'dead-letter');
+}
+
+function listQuarantined() {
+  return logParkedEntries_(STATE_KEYS.quarantinePrefix, 'quarantined');
+}
+
+function logParkedEntries_(prefix, kind) {
+  const entries = listParkedEntries_(prefix);
+  entries.forEach(e => console.info(`  • ${e.id}: message=${e.messageId} zip=${e.zipName} txt=${e.txtName} attempts=${e.attempts} error=${String(e.error).slice(0, 200)}`));
+  console.info(`📮 ${entries.length} ${kind} entr${entries.length === 1 ? 'y' : 'ies'}.`);
+  return entries.map(e => e.id);
+}
+
+/** ────────────────────────────────────────────────
+ *  Per-message processing
+ * ────────────────────────────────────────────────*/
+
+function processZipMessage_(message, config) {
+  const result = {
+    messageId: message.id,
+    status: 'error',
+    detail: '',
+    attachments: [],
+    extractedCount: 0,
+    txtCount: 0,
+    successCount: 0,
+    errorCount: 0,
+    quarantinedCount: 0
+  };
 
+  try {
     const subjectHeader = getHeaderValue_(message.payload.headers, 'Subject') || '';
     const fromHeaderRaw = getHeaderValue_(message.payload.headers, 'From') || '';
     const fromLower = fromHeaderRaw.toLowerCase();
-    console.info(`✉️ Incoming message → from=${fromHeaderRaw} subject=${subjectHeader}`);
+    console.info(`✉️ Incoming message ${message.id} → from=${fromHeaderRaw} subject=${subjectHeader}`);
 
     if (config.allowedSender && fromLower.indexOf(config.allowedSender) === -1) {
       console.warn(`Skipped: sender "${fromHeaderRaw}" does not contain required "${config.allowedSender}".`);
-      console.info('⏹️ Sender not allowed; aborting run without processing.');
-      return;
+      result.status = 'skipped';
+      result.detail = 'sender not allowed';
+      return result;
     }
     console.info(`✔ Sender OK: ${fromHeaderRaw}`);
 
-    const zipAttachments = listZipAttachments_(message.payload);
-    if (!zipAttachments.length) {
-      console.warn('Message had no ZIP attachments after filtering; marking processed and exiting.');
+    const attachments = listLeadAttachments_(message.payload);
+    const bodyLead = !attachments.length && config.mailBodyLeads ? extractMailBodyLead_(message.payload) : '';
+    if (bodyLead) {
+      console.info('✉️ No lead attachment; using the assessment request in the mail body.');
+      attachments.push({ kind: 'body', filename: 'mail-body.txt', text: bodyLead });
+    }
+    if (!attachments.length) {
+      console.warn('Message had no ZIP/TXT/CSV attachments after filtering; marking processed.');
       markThreadProcessed_(message.threadId, config.processedLabelId);
       updateLastProcessedState_(message.internalDate, message.id);
-      return;
+      result.status = 'skipped';
+      result.detail = 'no lead attachments';
+      return result;
+    }
+    console.info(`📎 ${attachments.length} attachment(s): ${attachments.map(a => a.filename).join(', ')}`);
+
+    // Attachments finished by an earlier run (before a sibling failed) are not posted twice.
+    const done = readCompletedAttachments_(message.id);
+    for (const meta of attachments) {
+      const doneKey = attachmentCompletionKey_(meta);
+      if (done.indexOf(doneKey) !== -1) {
+        console.info(`⏭ ${meta.filename} was handled by an earlier run; skipping.`);
+        result.attachments.push(Object.assign(newAttachmentOutcome_(meta.filename), { status: 'skipped', detail: 'handled by an earlier run' }));
+        continue;
+      }
+      const outcome = processLeadAttachment_(message, meta, config);
+      if (outcome.status === 'processed' || outcome.status === 'skipped') {
+        done.push(doneKey);
+        writeCompletedAttachments_(message.id, done);
+      }
+      result.attachments.push(outcome);
+      result.extractedCount += outcome.extractedCount;
+      result.txtCount += outcome.txtCount;
+      result.successCount += outcome.successCount;
+      result.errorCount += outcome.errorCount;
+      result.quarantinedCount += outcome.quarantinedCount;
     }
 
-    const primaryZipMeta = zipAttachments[0];
-    const zipBlob = fetchAttachmentBlob_(message.id, primaryZipMeta);
-    const zipName = primaryZipMeta.filename || 'attachment.zip';
-    console.info(`📦 ZIP selected → name=${zipName} type=${zipBlob.getContentType()} size=${zipBlob.getBytes().length}`);
-
-    const zipEntries = inspectZip_(zipBlob);
-    if (!zipEntries.length) {
-      console.warn('ZIP appears to be empty; labeling thread and skipping.');
-      markThreadProcessed_(message.threadId, config.processedLabelId);
+    const failed = result.attachments.filter(a => a.status === 'error');
+    if (failed.length) {
+      result.status = 'error';
+      result.detail = `${failed.length}/${result.attachments.length} attachment(s) failed`;
+      console.error(`Message ${message.id}: ${result.detail}; leaving unlabeled for the next run.`);
+      return result;
+    }
+    const waiting = result.attachments.filter(a => a.status === 'pending');
+    if (waiting.length) {
+      result.status = 'pending';
+      result.detail = `${waiting.length}/${result.attachments.length} attachment(s) waiting for a password mail`;
+      console.warn(`⏳ Message ${message.id}: ${result.detail}; leaving unlabeled for the next run.`);
+      return result;
+    }
+    // Retrying cannot help once the password-mail window is over: label it for a person instead.
+    const locked = result.attachments.filter(a => a.status === 'locked');
+    if (locked.length) {
+      markThreadProcessed_(message.threadId, config.processedLabelId, ensureLabelId_(config.needsPasswordLabel, STATE_KEYS.needsPasswordLabelCache));
       updateLastProcessedState_(message.internalDate, message.id);
-      return;
+      result.status = 'locked';
+      result.detail = `${locked.length}/${result.attachments.length} attachment(s) could not be opened with any password`;
+      console.error(`🔒 Message ${message.id}: ${result.detail}; labeled "${config.needsPasswordLabel}". Add the password and remove the labels to retry.`);
+      return result;
     }
 
-    const deflate64 = zipEntries.some(e => e.method === 9);
-    if (deflate64) {
-      throw new Error('Unsupported ZIP: contains Deflate64 (method 9). Recreate with standard Deflate (method 8).');
-    }
+    markThreadProcessed_(message.threadId, config.processedLabelId);
+    updateLastProcessedState_(message.internalDate, message.id);
+    writeCompletedAttachments_(message.id, []);
+    result.status = result.attachments.some(a => a.status === 'processed') ? 'processed' : 'skipped';
+    console.info(`✅ Message ${message.id} done. ZIPs=${result.attachments.length}, Extracted=${result.extractedCount}, TXTs=${result.txtCount} → Salesforce POST success=${result.successCount}, errors=${result.errorCount}, quarantined=${result.quarantinedCount}`);
+    return result;
+  } catch (err) {
+    result.status = 'error';
+    result.detail = String(err && err.message ? err.message : err);
+    console.error(`Message ${message.id} failed; leaving unlabeled for the next run: ${result.detail}`);
+    return result;
+  }
+}
 
-    const interestingEntryExists = zipEntries.some(e => /\.txt$/i.test(e.name || ''));
-    if (!interestingEntryExists) {
-      console.warn(`No CSV/TXT entries inside ${zipName}; labeling and skipping.`);
-      markThreadProcessed_(message.threadId, config.processedLabelId);
-      updateLastProcessedState_(message.internalDate, message.id);
-      return;
+function processLeadAttachment_(message, meta, config) {
+  const fileName = meta.filename || 'attachment.zip';
+  const outcome = newAttachmentOutcome_(fileName);
+  const skip = (detail) => {
+    outcome.status = 'skipped';
+    outcome.detail = detail;
+    return outcome;
+  };
+
+  try {
+    const blob = meta.kind === 'body'
+      ? Utilities.newBlob(meta.text, 'text/plain', fileName)
+      : fetchAttachmentBlob_(message.id, meta, config);
+    let leadBlobs;
+    if (meta.kind === 'zip') {
+      console.info(`📦 ZIP selected → name=${fileName} type=${blob.getContentType()} size=${blob.getBytes().length}`);
+
+      const zipEntries = inspectZip_(blob);
+      if (!zipEntries.length) {
+        console.warn(`${fileName} appears to be empty; skipping.`);
+        return skip('empty ZIP');
+      }
+
+      const interestingEntryExists = zipEntries.some(e => LEAD_ENTRY_PATTERN.test(e.name || '') || /\.zip$/i.test(e.name || ''));
+      if (!interestingEntryExists) {
+        console.warn(`No CSV/TXT entries inside ${fileName}; skipping.`);
+        return skip('no TXT/CSV entries');
+      }
+
+      const unlock = { message, config, candidates: null, sources: [], pending: false, expandedBytes: 0 };
+      leadBlobs = expandZipBlob_(blob, fileName, 1, unlock);
+      outcome.passwordSource = unlock.sources.join(', ');
+      if (unlock.pending) {
+        outcome.status = 'pending';
+        outcome.detail = 'waiting for password mail';
+        return outcome;
+      }
+    } else {
+      console.info(`📄 Lead ${meta.kind === 'body' ? 'mail body' : 'file attached'} → name=${fileName} size=${blob.getBytes().length}`);
+      leadBlobs = [blob];
     }
 
-    const unzippedBlobs = unzipWithGASunzip_(zipBlob, config.zipPassword);
-    const { bodies: txtBodies, names: txtNames } = extractTxtBodies_(unzippedBlobs, 'Shift_JIS');
-    const extractedCount = unzippedBlobs.length;
+    const { bodies: txtBodies, names: txtNames, positions: txtPositions } = extractTxtBodies_(leadBlobs, 'CP932');
+    outcome.extractedCount = leadBlobs.length;
 
     if (!txtBodies.length) {
-      console.warn('No TXT files decoded; labeling thread and skipping Salesforce POST.');
-      markThreadProcessed_(message.threadId, config.processedLabelId);
-      updateLastProcessedState_(message.internalDate, message.id);
-      return;
+      console.warn(`No TXT/CSV leads decoded from ${fileName}; skipping Salesforce POST.`);
+      return skip('no TXT/CSV decoded');
     }
 
-    console.info(`📝 TXT(s) extracted: ${txtNames.join(', ')}`);
+    console.info(`📝 TXT/CSV lead(s) extracted from ${fileName}: ${txtNames.join(', ')}`);
+
+    const sfResult = postTxtBodiesToSalesforce_(txtBodies, txtNames, config, { messageId: message.id, zipName: fileName, positions: txtPositions });
+    outcome.txtCount = txtBodies.length;
+    outcome.successCount = sfResult.successCount;
+    outcome.errorCount = sfResult.errorCount;
+    outcome.quarantinedCount = sfResult.quarantinedCount;
+    outcome.createdCount = sfResult.createdCount;
+    outcome.updatedCount = sfResult.updatedCount;
+    outcome.validationIssueCount = sfResult.validationIssueCount;
+    outcome.records = sfResult.records;
+    outcome.status = 'processed';
+    return outcome;
+  } catch (err) {
+    outcome.status = 'error';
+    outcome.detail = String(err && err.message ? err.message : err);
+    if (isZipPasswordError_(err)) {
+      // unlockZip_ only throws these once no password mail is expected any more.
+      outcome.status = 'locked';
+      outcome.detail = `password: ${outcome.detail}`;
+    }
+    console.error(`Attachment ${fileName} in message ${message.id} failed: ${outcome.detail}`);
+    return outcome;
+  }
+}
 
-    const sfResult = postTxtBodiesToSalesforce_(txtBodies, txtNames, config);
-    markThreadProcessed_(message.threadId, config.processedLabelId);
-    updateLastProcessedState_(message.internalDate, message.id);
-    console.info(`✅ Done. Extracted=${extractedCount}, TXTs=${txtBodies.length} → Salesforce POST success=${sfResult.successCount}, errors=${sfResult.errorCount}`);
-  } finally {
-    lock.releaseLock();
+function newAttachmentOutcome_(name) {
+  return {
+    name,
+    status: 'error',
+    detail: '',
+    extractedCount: 0,
+    txtCount: 0,
+    successCount: 0,
+    errorCount: 0,
+    quarantinedCount: 0,
+    createdCount: 0,
+    updatedCount: 0,
+    validationIssueCount: 0,
+    passwordSource: '',
+    records: []
+  };
+}
+
+// Gmail regenerates attachmentId on every fetch, so the MIME part path identifies an attachment.
+function attachmentCompletionKey_(meta) {
+  return `${meta.partId || meta.kind}:${meta.filename}`;
+}
+
+function readCompletedAttachments_(messageId) {
+  try {
+    return JSON.parse(PROPS.getProperty(STATE_KEYS.attachmentsDonePrefix + messageId) || '[]') || [];
+  } catch (err) {
+    return [];
   }
 }
 
-function cron_unzip_every_15min() {
-  unzipNewestZipFromGmail_V8();
+// Kept until the message is labeled; an empty list removes the property.
+function writeCompletedAttachments_(messageId, keys) {
+  const key = STATE_KEYS.attachmentsDonePrefix + messageId;
+  if (keys.length) PROPS.setProperty(key, JSON.stringify(keys));
+  else PROPS.deleteProperty(key);
+}
+
+function logRunSummary_(results, pendingCount) {
+  const count = (status) => results.filter(r => r.status === status).length;
+  results.forEach(r => {
+    const detail = r.detail ? ` (${r.detail})` : '';
+    console.info(`  • ${r.messageId}: ${r.status}${detail} TXTs=${r.txtCount} success=${r.successCount} errors=${r.errorCount} quarantined=${r.quarantinedCount || 0}`);
+    (r.attachments || []).forEach(a => {
+      const attDetail = a.detail ? ` (${a.detail})` : '';
+      console.info(`      ↳ ${a.name}: ${a.status}${attDetail} extracted=${a.extractedCount} TXTs=${a.txtCount} success=${a.successCount} errors=${a.errorCount} quarantined=${a.quarantinedCount} created=${a.createdCount} updated=${a.updatedCount} validationIssues=${a.validationIssueCount}${a.passwordSource ? ` key=${a.passwordSource}` : ''}`);
+    });
+  });
+  console.info(`🏁 Run finished. handled=${results.length}/${pendingCount} processed=${count('processed')} pending=${count('pending')} locked=${count('locked')} skipped=${count('skipped')} failed=${count('error')}`);
 }
 
 /** ────────────────────────────────────────────────
@@ -148,41 +488,106 @@ function cron_unzip_every_15min() {
 
 function loadRuntimeConfig_() {
   const allowedSender = (PROPS.getProperty('ALLOWED_SENDER') || '').trim().toLowerCase();
-  const gmailQuery = (PROPS.getProperty('GMAIL_QUERY') || DEFAULTS.gmailQuery).trim();
+  const mailBodyLeads = parseBooleanProperty_(PROPS.getProperty('MAIL_BODY_LEADS'), DEFAULTS.mailBodyLeads);
+  const gmailQuery = (PROPS.getProperty('GMAIL_QUERY') || (mailBodyLeads ? DEFAULTS.gmailBodyQuery : DEFAULTS.gmailQuery)).trim();
   const zipPassword = (PROPS.getProperty('ZIP_PASSWORD') || '').trim();
   const processedLabel = (PROPS.getProperty('PROCESSED_LABEL') || DEFAULTS.processedLabel).trim();
+  const needsPasswordLabel = (PROPS.getProperty('NEEDS_PASSWORD_LABEL') || DEFAULTS.needsPasswordLabel).trim();
   const searchTimezone = (PROPS.getProperty('SEARCH_TIMEZONE') || DEFAULTS.searchTimezone).trim() || DEFAULTS.searchTimezone;
   const salesforceLoginUrl = (PROPS.getProperty('SALESFORCE_LOGIN_URL') || DEFAULTS.salesforceLoginUrl).trim() || DEFAULTS.salesforceLoginUrl;
+  const salesforceJwtAudience = (PROPS.getProperty('SALESFORCE_JWT_AUDIENCE') || '').trim();
   const salesforceInstanceUrl = (PROPS.getProperty('SALESFORCE_INSTANCE_URL') || '').trim();
   const salesforceClientId = (PROPS.getProperty('SALESFORCE_CLIENT_ID') || '').trim();
   const salesforceClientSecret = (PROPS.getProperty('SALESFORCE_CLIENT_SECRET') || '').trim();
   const salesforceUsername = (PROPS.getProperty('SALESFORCE_USERNAME') || '').trim();
   const salesforcePassword = (PROPS.getProperty('SALESFORCE_PASSWORD') || '').trim(); // include security token
+  const salesforceAuthFlow = (PROPS.getProperty('SALESFORCE_AUTH_FLOW') || DEFAULTS.salesforceAuthFlow).trim().toLowerCase() || DEFAULTS.salesforceAuthFlow;
+  const salesforcePrivateKey = (PROPS.getProperty('SALESFORCE_PRIVATE_KEY') || '').trim();
+  const salesforceRefreshToken = (PROPS.getProperty('SALESFORCE_REFRESH_TOKEN') || '').trim();
+  const salesforceTokenTtlMs = Number(PROPS.getProperty('SALESFORCE_TOKEN_TTL_MS') || '') || DEFAULTS.salesforceTokenTtlMs;
   const salesforceApiPath = (PROPS.getProperty('SALESFORCE_API_PATH') || DEFAULTS.salesforceApiPath).trim() || DEFAULTS.salesforceApiPath;
   const salesforceApiVersion = (PROPS.getProperty('SALESFORCE_API_VERSION') || DEFAULTS.salesforceApiVersion).trim() || DEFAULTS.salesforceApiVersion;
   const salesforceSobject = (PROPS.getProperty('SALESFORCE_SOBJECT') || DEFAULTS.salesforceSobject).trim() || DEFAULTS.salesforceSobject;
 
-  const processedLabelId = processedLabel ? ensureLabelId_(processedLabel) : null;
+  const salesforceWriteMode = (PROPS.getProperty('SALESFORCE_WRITE_MODE') || DEFAULTS.salesforceWriteMode).trim().toLowerCase() || DEFAULTS.salesforceWriteMode;
+  const salesforceExternalIdField = (PROPS.getProperty('SALESFORCE_EXTERNAL_ID_FIELD') || DEFAULTS.salesforceExternalIdField).trim() || DEFAULTS.salesforceExternalIdField;
+  const salesforceBatchWrites = parseBooleanProperty_(PROPS.getProperty('SALESFORCE_BATCH_WRITES'), DEFAULTS.salesforceBatchWrites);
+  const salesforceAllOrNone = parseBooleanProperty_(PROPS.getProperty('SALESFORCE_ALL_OR_NONE'), DEFAULTS.salesforceAllOrNone);
+  const salesforceFieldMapping = loadFieldMapping_();
+  const zipMaxDepth = parseIntegerProperty_('ZIP_MAX_DEPTH', DEFAULTS.zipMaxDepth, 1);
+  const zipMaxUncompressedBytes = parseIntegerProperty_('ZIP_MAX_UNCOMPRESSED_BYTES', DEFAULTS.zipMaxUncompressedBytes, 1);
+  const maxRuntimeMs = Number(PROPS.getProperty('MAX_RUNTIME_MS') || '') || DEFAULTS.maxRuntimeMs;
+  const retryMaxAttempts = Number(PROPS.getProperty('RETRY_MAX_ATTEMPTS') || '') || DEFAULTS.retryMaxAttempts;
+  const retryBaseDelayMs = Number(PROPS.getProperty('RETRY_BASE_DELAY_MS') || '') || DEFAULTS.retryBaseDelayMs;
+  const retryMaxDelayMs = Number(PROPS.getProperty('RETRY_MAX_DELAY_MS') || '') || DEFAULTS.retryMaxDelayMs;
+  const requiredFields = parseRequiredFieldsPolicy_(PROPS.getProperty('REQUIRED_FIELDS') || DEFAULTS.requiredFields);
+  const windowRaw = (PROPS.getProperty('PASSWORD_MAIL_WINDOW_MS') || '').trim();
+  const passwordMailWindowMs = windowRaw && !isNaN(Number(windowRaw)) ? Number(windowRaw) : DEFAULTS.passwordMailWindowMs;
+  const passwordMailQuery = (PROPS.getProperty('PASSWORD_MAIL_QUERY') || DEFAULTS.passwordMailQuery).trim() || DEFAULTS.passwordMailQuery;
+  const passwordMailPatterns = loadPasswordMailPatterns_();
+  const zipKeyring = loadZipKeyring_();
+
+  const processedLabelId = processedLabel ? ensureLabelId_(processedLabel, STATE_KEYS.processedLabelCache) : null;
 
   return {
     allowedSender,
     gmailQuery,
+    mailBodyLeads,
     zipPassword,
     processedLabel,
     processedLabelId,
+    needsPasswordLabel,
     searchTimezone,
     salesforceLoginUrl,
+    salesforceJwtAudience,
     salesforceInstanceUrl,
     salesforceClientId,
     salesforceClientSecret,
     salesforceUsername,
     salesforcePassword,
+    salesforceAuthFlow,
+    salesforcePrivateKey,
+    salesforceRefreshToken,
+    salesforceTokenTtlMs,
     salesforceApiPath,
     salesforceApiVersion,
-    salesforceSobject
+    salesforceSobject,
+    salesforceWriteMode,
+    salesforceExternalIdField,
+    salesforceBatchWrites,
+    salesforceAllOrNone,
+    salesforceFieldMapping,
+    zipMaxDepth,
+    zipMaxUncompressedBytes,
+    maxRuntimeMs,
+    retryMaxAttempts,
+    retryBaseDelayMs,
+    retryMaxDelayMs,
+    requiredFields,
+    passwordMailWindowMs,
+    passwordMailQuery,
+    passwordMailPatterns,
+    zipKeyring
   };
 }
 
+function parseBooleanProperty_(raw, fallback) {
+  const value = String(raw || '').trim().toLowerCase();
+  if (!value) return fallback;
+  return ['true', '1', 'yes', 'on'].indexOf(value) !== -1;
+}
+
+// Blank → fallback; anything else must be a whole number ≥ min.
+function parseIntegerProperty_(name, fallback, min) {
+  const raw = (PROPS.getProperty(name) || '').trim();
+  if (!raw) return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be a whole number ≥ ${min} (got "${raw}").`);
+  }
+  return value;
+}
+
 function getLastProcessedState_() {
   return {
     ts: Number(PROPS.getProperty(STATE_KEYS.lastTs) || 0),
@@ -195,40 +600,119 @@ function updateLastProcessedState_(internalDate, messageId) {
   if (messageId) PROPS.setProperty(STATE_KEYS.lastId, messageId);
 }
 
-function ensureLabelId_(labelName) {
+function ensureLabelId_(labelName, cacheKey) {
   if (!labelName) return null;
 
-  const cached = PROPS.getProperty(STATE_KEYS.processedLabelCache);
+  const cached = PROPS.getProperty(cacheKey);
   if (cached) {
     try {
       const lbl = Gmail.Users.Labels.get('me', cached);
       if (lbl && lbl.name === labelName) return cached;
     } catch (err) {
-      console.warn(`Processed label cache invalid (${cached}): ${err && err.message ? err.message : err}`);
+      console.warn(`Label cache invalid for ${labelName} (${cached}): ${err && err.message ? err.message : err}`);
     }
   }
 
   const labels = Gmail.Users.Labels.list('me').labels || [];
   const existing = labels.find(l => l.name === labelName);
   if (existing) {
-    PROPS.setProperty(STATE_KEYS.processedLabelCache, existing.id);
+    PROPS.setProperty(cacheKey, existing.id);
     return existing.id;
   }
 
   const created = Gmail.Users.Labels.create({ name: labelName }, 'me');
-  PROPS.setProperty(STATE_KEYS.processedLabelCache, created.id);
+  PROPS.setProperty(cacheKey, created.id);
   return created.id;
 }
 
-function markThreadProcessed_(threadId, processedLabelId) {
+function markMessageProcessed_(messageId, processedLabelId) {
+  if (!messageId || !processedLabelId) return;
+  try {
+    Gmail.Users.Messages.modify({ addLabelIds: [processedLabelId] }, 'me', messageId);
+  } catch (err) {
+    console.error(`Failed to label message ${messageId}: ${err && err.message ? err.message : err}`);
+  }
+}
+
+function markThreadProcessed_(threadId, processedLabelId, extraLabelId) {
   if (!threadId || !processedLabelId) return;
   try {
-    Gmail.Users.Threads.modify({ addLabelIds: [processedLabelId] }, 'me', threadId);
+    Gmail.Users.Threads.modify({ addLabelIds: [processedLabelId, extraLabelId].filter(Boolean) }, 'me', threadId);
   } catch (err) {
     console.error(`Failed to label thread ${threadId}: ${err && err.message ? err.message : err}`);
   }
 }
 
+/** ────────────────────────────────────────────────
+ *  Dead-letter & quarantine store (one Script Property per parked record)
+ * ────────────────────────────────────────────────*/
+
+// Returns the parked ID, or '' when Script Properties refused the value.
+function parkRecord_(prefix, source, entry, record) {
+  const id = Utilities.getUuid();
+  const stored = {
+    id,
+    createdAt: new Date().toISOString(),
+    messageId: source.messageId || '',
+    zipName: source.zipName || '',
+    txtName: entry.name,
+    payload: entry.payload,
+    error: truncateParkedError_(record.error),
+    status: record.status || 0,
+    attempts: record.outcome === 'error' ? 1 : 0
+  };
+  // Failing the attachment instead would re-send its other records on every run, so the
+  // log line is the only copy left of this one.
+  try {
+    PROPS.setProperty(prefix + id, JSON.stringify(stored));
+  } catch (err) {
+    console.error(`📮❌ Could not park ${entry.name} as ${prefix}${id} (Script Properties allow 9 KB per value, 500 KB in total): ${err && err.message ? err.message : err}. Record: ${JSON.stringify(stored)}`);
+    return '';
+  }
+  console.warn(`📮 Parked ${entry.name} from message ${stored.messageId} as ${prefix}${id}.`);
+  return id;
+}
+
+function listParkedEntries_(prefix) {
+  const keys = PROPS.getKeys().filter(k => k.indexOf(prefix) === 0);
+  const entries = [];
+  keys.forEach(key => {
+    try {
+      entries.push(JSON.parse(PROPS.getProperty(key)));
+    } catch (err) {
+      console.warn(`Parked entry ${key} unreadable: ${err && err.message ? err.message : err}`);
+    }
+  });
+  return entries.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+function updateParkedFailure_(prefix, entry, record) {
+  const updated = Object.assign({}, entry, {
+    error: truncateParkedError_(record.error),
+    status: record.status || 0,
+    attempts: (entry.attempts || 0) + 1,
+    lastAttemptAt: new Date().toISOString()
+  });
+  PROPS.setProperty(prefix + entry.id, JSON.stringify(updated));
+}
+
+function deleteParkedEntry_(prefix, id) {
+  PROPS.deleteProperty(prefix + id);
+}
+
+function normalizeParkedIds_(ids) {
+  if (!ids) return [];
+  if (Array.isArray(ids)) return ids.map(String).map(s => s.trim()).filter(Boolean);
+  if (typeof ids === 'string') return ids.split(',').map(s => s.trim()).filter(Boolean);
+  return []; // trigger/event objects replay everything
+}
+
+// Script Properties cap a value at 9 KB; the payload matters more than a long error body.
+function truncateParkedError_(error) {
+  const text = String(error || '');
+  return text.length > 1000 ? `${text.slice(0, 1000)}…` : text;
+}
+
 /** ────────────────────────────────────────────────
  *  Date window & query helpers
  * ────────────────────────────────────────────────*/
@@ -359,71 +843,109 @@ function getStartOfDateMs_(dateString, tz) {
  *  Gmail fetchers
  * ────────────────────────────────────────────────*/
 
-function findNewestZipMessage_(query, lastState, processedLabelId) {
+/**
+ * Lists unprocessed messages matching `query`, oldest first, as { id, threadId,
+ * internalDate, labelIds }. Only the minimal format is read here (no payload);
+ * at most PENDING_SCAN_LIMIT messages are considered per run, and the scan stops
+ * early once MAX_RUNTIME_MS (counted from `startedAt`) is spent.
+ */
+function findPendingZipMessages_(query, lastState, processedLabelId, config, startedAt) {
   const options = {
     q: query,
     maxResults: 50,
     includeSpamTrash: false
   };
 
+  const pending = [];
+  let scanned = 0;
+  let outOfTime = false;
   let pageToken = null;
   do {
-    const resp = Gmail.Users.Messages.list('me', pageToken ? Object.assign({}, options, { pageToken }) : options);
-    const messages = resp.messages || [];
+    const listOptions = pageToken ? Object.assign({}, options, { pageToken }) : options;
+    const resp = withRetry_('Gmail messages.list', () => Gmail.Users.Messages.list('me', listOptions), config);
+    const messages = (resp.messages || []).slice(0, PENDING_SCAN_LIMIT - scanned);
     for (const meta of messages) {
-      const message = Gmail.Users.Messages.get('me', meta.id, { format: 'full' });
-      const internalDate = Number(message.internalDate || 0);
-      if (lastState.id && message.id === lastState.id) continue;
-
+      if (startedAt && Date.now() - startedAt >= config.maxRuntimeMs) {
+        console.warn(`⏱ Runtime budget reached while scanning after ${scanned} message(s); the rest are picked up by later runs.`);
+        outOfTime = true;
+        break;
+      }
+      scanned++;
+      if (lastState.id && meta.id === lastState.id) continue;
+      const message = withRetry_('Gmail messages.get', () => Gmail.Users.Messages.get('me', meta.id, { format: 'minimal' }), config);
       const labels = message.labelIds || [];
       if (processedLabelId && labels.indexOf(processedLabelId) !== -1) continue;
 
-      const zips = listZipAttachments_(message.payload);
-      if (!zips.length) continue;
-
-      return {
+      pending.push({
         id: message.id,
         threadId: message.threadId,
-        internalDate,
-        payload: message.payload,
+        internalDate: Number(message.internalDate || 0),
         labelIds: labels
-      };
+      });
     }
-    pageToken = resp.nextPageToken || null;
+    pageToken = !outOfTime && scanned < PENDING_SCAN_LIMIT ? resp.nextPageToken || null : null;
   } while (pageToken);
-  return null;
+  if (scanned >= PENDING_SCAN_LIMIT) {
+    console.warn(`📬 Scan capped at ${PENDING_SCAN_LIMIT} messages; older matches are picked up by later runs.`);
+  }
+
+  // Gmail lists newest first; drain oldest first so LAST_PROCESSED_* only moves forward.
+  pending.sort((a, b) => a.internalDate - b.internalDate);
+  return pending;
+}
+
+/**
+ * Full message for a pending entry, or null when it has nothing to read after all.
+ * Such a message is labeled processed so later runs do not fetch it again; only the
+ * message is labeled, since its thread may still hold a ZIP waiting for a password.
+ */
+function fetchPendingMessage_(entry, config) {
+  const message = withRetry_('Gmail messages.get', () => Gmail.Users.Messages.get('me', entry.id, { format: 'full' }), config);
+  const hasLead = listLeadAttachments_(message.payload).length || (config.mailBodyLeads && extractMailBodyLead_(message.payload));
+  if (!hasLead) {
+    console.info(`Message ${entry.id} has no lead attachment${config.mailBodyLeads ? ' or mail-body lead' : ''}; marking processed.`);
+    markMessageProcessed_(entry.id, config.processedLabelId);
+    updateLastProcessedState_(entry.internalDate, entry.id);
+    return null;
+  }
+  return Object.assign({}, entry, { payload: message.payload });
 }
 
-function listZipAttachments_(payload) {
+// ZIP archives plus bare TXT/CSV lead files; `kind` is "zip", "txt" or "csv".
+function listLeadAttachments_(payload) {
   const results = [];
-  collectZipAttachments_(payload, results);
+  collectLeadAttachments_(payload, results);
   return results;
 }
 
-function collectZipAttachments_(payload, out) {
+function collectLeadAttachments_(payload, out) {
   if (!payload) return;
   const filename = payload.filename || '';
   const body = payload.body || {};
-  if (filename && /\.zip$/i.test(filename) && body.attachmentId) {
+  const ext = (filename.match(/\.(zip|txt|csv)$/i) || [])[1];
+  if (ext && body.attachmentId) {
+    const kind = ext.toLowerCase();
     out.push({
       attachmentId: body.attachmentId,
+      partId: payload.partId || '',
       filename,
-      mimeType: payload.mimeType || 'application/zip',
+      kind,
+      mimeType: payload.mimeType || (kind === 'zip' ? 'application/zip' : 'text/plain'),
       size: body.size || 0
     });
   }
   const parts = payload.parts || [];
-  for (const part of parts) collectZipAttachments_(part, out);
+  for (const part of parts) collectLeadAttachments_(part, out);
 }
 
-function fetchAttachmentBlob_(messageId, meta) {
-  const attachment = Gmail.Users.Messages.Attachments.get('me', messageId, meta.attachmentId);
+function fetchAttachmentBlob_(messageId, meta, config) {
+  const attachment = withRetry_('Gmail attachments.get', () => Gmail.Users.Messages.Attachments.get('me', messageId, meta.attachmentId), config);
   if (!attachment || !attachment.data) {
     throw new Error('downloadAttachmentBlob_: attachment payload missing.');
   }
 
   const primaryData = String(attachment.data || '').trim();
-  const fallback = buildDataUriFallback_(messageId, meta.attachmentId, meta.mimeType);
+  const fallback = buildDataUriFallback_(messageId, meta.attachmentId, meta.mimeType, config);
 
   console.info(`Attachment meta: declaredSize=${meta.size || 0}, primaryDataLength=${primaryData.length}, hasFallback=${fallback ? 'yes' : 'no'}`);
   console.info(`Attachment primary head: "${primaryData.slice(0, 128)}"`);
@@ -452,15 +974,16 @@ function fetchAttachmentBlob_(messageId, meta) {
     throw new Error('downloadAttachmentBlob_: could not decode attachment payload.');
   }
 
-  const mime = (meta.mimeType || '').toLowerCase().includes('zip') ? meta.mimeType : 'application/zip';
-  const name = meta.filename || 'attachment.zip';
+  const isZip = !meta.kind || meta.kind === 'zip';
+  const mime = !isZip || (meta.mimeType || '').toLowerCase().includes('zip') ? meta.mimeType : 'application/zip';
+  const name = meta.filename || (isZip ? 'attachment.zip' : 'attachment.txt');
   return Utilities.newBlob(bytes, mime || 'application/zip', name);
 }
 
-function buildDataUriFallback_(messageId, attachmentId, mimeType) {
+function buildDataUriFallback_(messageId, attachmentId, mimeType, config) {
   if (!messageId || !attachmentId) return null;
   try {
-    const detail = Gmail.Users.Messages.Attachments.get('me', messageId, attachmentId);
+    const detail = withRetry_('Gmail attachments.get', () => Gmail.Users.Messages.Attachments.get('me', messageId, attachmentId), config);
     const data = String(detail && detail.data ? detail.data : '').trim();
     if (!data) return null;
     const mime = (mimeType && mimeType.trim()) ? mimeType : 'application/zip';
@@ -471,6 +994,266 @@ function buildDataUriFallback_(messageId, attachmentId, mimeType) {
   }
 }
 
+/** ────────────────────────────────────────────────
+ *  ZIP passwords (keyring, PPAP password mails)
+ *  Candidates are { password, source }; only `source` is ever logged or stored.
+ * ────────────────────────────────────────────────*/
+
+// Capture group 1 is the password; passwords are taken as printable ASCII.
+const DEFAULT_PASSWORD_MAIL_PATTERNS = [
+  '(?:パスワード|pass(?:word|code)?|pwd?)[^\\S\\n]*[】\\]]?[^\\S\\n]*[:：=]\\s*[「『"]?([!-~]+?)[」』"]?(?:\\s|$)',
+  '(?:パスワード|password)[^\\n]*(?:以下|下記|below)[^\\n]*\\n+[^\\S\\n]*[「『"]?([!-~]+?)[」』"]?(?:\\s|$)',
+  '[【\\[](?:パスワード|password)[】\\]][^\\S\\n]*\\n?[^\\S\\n]*([!-~]+)',
+  'パスワードは[^\\S\\n]*[「『"]?([!-~]+?)[」』"]?(?:\\s|です|。|$)'
+];
+
+function loadPasswordMailPatterns_() {
+  const raw = (PROPS.getProperty('PASSWORD_MAIL_PATTERNS') || '').trim();
+  let sources = DEFAULT_PASSWORD_MAIL_PATTERNS;
+  if (raw) {
+    try {
+      sources = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`PASSWORD_MAIL_PATTERNS is not valid JSON: ${err && err.message ? err.message : err}`);
+    }
+    if (!Array.isArray(sources) || !sources.length) {
+      throw new Error('PASSWORD_MAIL_PATTERNS must be a JSON array of regular expressions.');
+    }
+  }
+  return sources.map((source) => {
+    try {
+      return new RegExp(source, 'im');
+    } catch (err) {
+      throw new Error(`PASSWORD_MAIL_PATTERNS entry ${source} is invalid: ${err && err.message ? err.message : err}`);
+    }
+  });
+}
+
+/**
+ * Password candidates for an encrypted ZIP, best first: paired password mails
+ * (closest in time first), the sender's keyring entries, then ZIP_PASSWORD.
+ * The keyring key that last worked for this sender moves to the front.
+ */
+function collectZipPasswords_(message, config) {
+  const sender = extractEmailAddress_(getHeaderValue_(message.payload.headers, 'From'));
+  const candidates = []
+    .concat(config.passwordMailWindowMs > 0 ? findPasswordsInMails_(message, config) : [])
+    .concat(keyringPasswordsFor_(config.zipKeyring, sender))
+    .concat(config.zipPassword ? [{ password: config.zipPassword, source: 'ZIP_PASSWORD' }] : []);
+  const unique = candidates.filter((c, idx) => candidates.findIndex(o => o.password === c.password) === idx);
+
+  const lastGood = readZipKeyHits_()[sender];
+  const hit = lastGood ? unique.findIndex(c => c.source === lastGood.source) : -1;
+  if (hit > 0) unique.unshift(unique.splice(hit, 1)[0]);
+  return unique;
+}
+
+/**
+ * ZIP_PASSWORD_KEYRING → { scope: [passwords] } with lower-cased scopes
+ * ("user@domain", "domain" or "*"); a leading "@" on a domain is dropped.
+ */
+function loadZipKeyring_() {
+  const raw = (PROPS.getProperty('ZIP_PASSWORD_KEYRING') || '').trim();
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`ZIP_PASSWORD_KEYRING is not valid JSON: ${err && err.message ? err.message : err}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('ZIP_PASSWORD_KEYRING must be a JSON object of { "sender or domain": ["password", ...] }.');
+  }
+  const keyring = {};
+  Object.keys(parsed).forEach((scope) => {
+    const passwords = (Array.isArray(parsed[scope]) ? parsed[scope] : [parsed[scope]]).map(pw => String(pw || '')).filter(Boolean);
+    if (passwords.length) keyring[scope.trim().toLowerCase().replace(/^@/, '')] = passwords;
+  });
+  return keyring;
+}
+
+function keyringPasswordsFor_(keyring, sender) {
+  const domain = sender.split('@')[1] || '';
+  const scopes = [sender];
+  domain.split('.').forEach((_, idx, labels) => {
+    if (idx < labels.length - 1) scopes.push(labels.slice(idx).join('.'));
+  });
+  scopes.push('*');
+
+  const candidates = [];
+  scopes.filter(Boolean).forEach((scope) => {
+    (keyring[scope] || []).forEach((password, idx) => candidates.push({ password, source: `keyring:${scope}#${idx + 1}` }));
+  });
+  return candidates;
+}
+
+/**
+ * Tries candidates against the smallest encrypted entry only (ZipCrypto header
+ * byte + CRC, or the AES verifier + HMAC). Returns { candidate, verified: true } for
+ * the first that opens it, or null when none does. When the entry cannot be checked
+ * here (no encrypted file entry, or a method the built-in reader does not decode) the
+ * best guess comes back with verified=false and must not be remembered as a hit.
+ */
+function findWorkingZipPassword_(zipBytes, candidates) {
+  if (!candidates.length) return null;
+  const encrypted = readZipDirectory_(zipBytes).filter(e => e.encrypted && !e.isDirectory);
+  if (!encrypted.length) return { candidate: candidates[0], verified: false };
+  const probe = encrypted.reduce((smallest, e) => (e.compressedSize < smallest.compressedSize ? e : smallest));
+  for (const candidate of candidates) {
+    try {
+      extractZipEntry_(zipBytes, probe, candidate.password);
+      return { candidate, verified: true };
+    } catch (err) {
+      // Passed the password check but cannot be decoded here; unzipZipBlob_'s GASunzip fallback gets it.
+      if (err && err.code === 'ZIP_UNSUPPORTED') return { candidate, verified: false };
+      if (!err || err.code !== 'ZIP_BAD_PASSWORD') throw err;
+    }
+  }
+  return null;
+}
+
+function readZipKeyHits_() {
+  try {
+    return JSON.parse(PROPS.getProperty(STATE_KEYS.zipKeyHits) || '{}') || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// Stores which keyring entry (never the password) last opened a ZIP from this sender.
+function rememberWorkingZipKey_(message, candidate) {
+  if (candidate.source.indexOf('password-mail:') === 0) return;
+  const sender = extractEmailAddress_(getHeaderValue_(message.payload.headers, 'From'));
+  if (!sender) return;
+  const hits = readZipKeyHits_();
+  hits[sender] = { source: candidate.source, at: new Date().toISOString() };
+  PROPS.setProperty(STATE_KEYS.zipKeyHits, JSON.stringify(hits));
+}
+
+/**
+ * Looks for password mails from the ZIP's sender within PASSWORD_MAIL_WINDOW_MS
+ * that share its thread or subject, and pulls passwords out of their bodies.
+ */
+function findPasswordsInMails_(message, config) {
+  const headers = message.payload.headers;
+  const sender = extractEmailAddress_(getHeaderValue_(headers, 'From'));
+  if (!sender) return [];
+  const subject = getHeaderValue_(headers, 'Subject') || '';
+  const sentAt = Number(message.internalDate || 0);
+
+  let query = `from:${sender} ${config.passwordMailQuery}`;
+  query = appendAfterClause_(query, sentAt - config.passwordMailWindowMs);
+  query = appendBeforeClause_(query, sentAt + config.passwordMailWindowMs);
+  const resp = withRetry_('Gmail messages.list', () => Gmail.Users.Messages.list('me', { q: query, maxResults: 20, includeSpamTrash: false }), config);
+
+  const candidates = [];
+  (resp.messages || []).forEach((meta) => {
+    if (meta.id === message.id) return;
+    const mail = withRetry_('Gmail messages.get', () => Gmail.Users.Messages.get('me', meta.id, { format: 'full' }), config);
+    if (extractEmailAddress_(getHeaderValue_(mail.payload.headers, 'From')) !== sender) return;
+    const sameThread = mail.threadId === message.threadId;
+    if (!sameThread && !isPasswordMailSubjectMatch_(subject, getHeaderValue_(mail.payload.headers, 'Subject') || '')) return;
+    const passwords = extractPasswordsFromText_(extractMessageText_(mail.payload), config.passwordMailPatterns);
+    if (!passwords.length) return;
+    console.info(`🔑 Password mail ${mail.id} (${sameThread ? 'same thread' : 'subject match'}) paired with ${message.id}.`);
+    const distance = Math.abs(Number(mail.internalDate || 0) - sentAt);
+    passwords.forEach(password => candidates.push({ password, source: `password-mail:${mail.id}`, distance }));
+  });
+
+  return candidates
+    .sort((a, b) => a.distance - b.distance)
+    .map(c => ({ password: c.password, source: c.source }));
+}
+
+function extractPasswordsFromText_(text, patterns) {
+  const found = [];
+  (patterns || []).forEach((re) => {
+    const m = String(text || '').match(re);
+    const password = m && m[1] ? m[1].trim() : '';
+    if (password && found.indexOf(password) === -1) found.push(password);
+  });
+  return found;
+}
+
+// Subjects must be equal once reply prefixes and password-notice tags are removed.
+function isPasswordMailSubjectMatch_(zipSubject, passwordSubject) {
+  const a = normalizePasswordMailSubject_(zipSubject);
+  return !!a && a === normalizePasswordMailSubject_(passwordSubject);
+}
+
+function normalizePasswordMailSubject_(subject) {
+  return toHalfWidth_(subject || '')
+    .replace(/^(?:\s*(?:re|fw|fwd)\s*[:：]\s*)+/i, '')
+    .replace(/[【\[(（][^】\])）]*(?:パスワード|password|暗号|解凍)[^】\])）]*[】\])）]/gi, '')
+    .replace(/(?:の)?(?:パスワード|password)(?:の)?(?:お知らせ|通知|送付|のご連絡|notice)?/gi, '')
+    .replace(/[\s　:：]+/g, '')
+    .toLowerCase();
+}
+
+function extractEmailAddress_(fromHeader) {
+  const m = String(fromHeader || '').match(/[^\s<>"',;]+@[^\s<>"',;]+/);
+  return m ? m[0].toLowerCase() : '';
+}
+
+/**
+ * Text of a Gmail API payload: text/plain parts, or text/html parts stripped of
+ * tags when there is no plain part. Gmail hands out part bodies with the transfer
+ * encoding already removed, so only the charset is applied: the declared one
+ * (ISO-2022-JP, Shift_JIS, …) or, without one, the detectCharset_ guess.
+ */
+function extractMessageText_(payload) {
+  const plain = [];
+  const html = [];
+  const walk = (part) => {
+    if (!part) return;
+    const mime = (part.mimeType || '').toLowerCase();
+    const data = part.body && part.body.data;
+    if (data && !part.filename && (mime === 'text/plain' || mime === 'text/html')) {
+      const contentType = getHeaderValue_(part.headers || [], 'Content-Type') || '';
+      const charsetMatch = contentType.match(/charset\s*=\s*"?([^";\s]+)/i);
+      const bytes = new Uint8Array(Utilities.base64DecodeWebSafe(data));
+      const detected = charsetMatch ? '' : detectCharset_(bytes).charset;
+      const charset = charsetMatch ? charsetMatch[1] : (CHARSET_DECODER_NAMES[detected] || [detected])[0];
+      const text = decodeBytes_(bytes, charset);
+      (mime === 'text/plain' ? plain : html).push(text);
+    }
+    (part.parts || []).forEach(walk);
+  };
+  walk(payload);
+  if (plain.length) return plain.join('\n');
+  return htmlToText_(html.join('\n'));
+}
+
+function isZipPasswordError_(err) {
+  return !!err && (err.code === 'ZIP_BAD_PASSWORD' || err.code === 'ZIP_PASSWORD_REQUIRED');
+}
+
+function isAwaitingPasswordMail_(message, config) {
+  return config.passwordMailWindowMs > 0 && Date.now() - Number(message.internalDate || 0) < config.passwordMailWindowMs;
+}
+
+/** ────────────────────────────────────────────────
+ *  Mail body text
+ * ────────────────────────────────────────────────*/
+
+function htmlToText_(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return String(html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(?:p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+      if (code[0] === '#') return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+      return Object.prototype.hasOwnProperty.call(entities, code.toLowerCase()) ? entities[code.toLowerCase()] : m;
+    });
+}
+
+// The mail body text when it carries an assessment request header, else ''.
+function extractMailBodyLead_(payload) {
+  const text = extractMessageText_(payload).replace(/\r/g, '').trim();
+  return TXT_REQUEST_HEADER_PATTERN.test(text) ? text : '';
+}
+
 /** ────────────────────────────────────────────────
  *  Attachment decoding
  * ────────────────────────────────────────────────*/
@@ -560,39 +1343,12 @@ function buildBase64Variants_(input) {
  * ────────────────────────────────────────────────*/
 
 function inspectZip_(blob) {
-  const bytes = blob.getBytes();
-  const a = new Uint8Array(bytes);
-  const le16 = (arr, offset) => arr[offset] | (arr[offset + 1] << 8);
-  const le32 = (arr, offset) => (arr[offset] | (arr[offset + 1] << 8) | (arr[offset + 2] << 16) | (arr[offset + 3] << 24)) >>> 0;
-
-  let eocd = -1;
-  for (let i = a.length - 22; i >= 0; i--) {
-    if (a[i] === 0x50 && a[i + 1] === 0x4b && a[i + 2] === 0x05 && a[i + 3] === 0x06) {
-      eocd = i;
-      break;
-    }
-  }
-  if (eocd < 0) return [];
-
-  const cdSize = le32(a, eocd + 12);
-  const cdOffs = le32(a, eocd + 16);
-  const result = [];
-  let p = cdOffs;
-  const end = cdOffs + cdSize;
-
-  while (p + 46 <= end) {
-    if (!(a[p] === 0x50 && a[p + 1] === 0x4b && a[p + 2] === 0x01 && a[p + 3] === 0x02)) break;
-    const gpFlag = le16(a, p + 8);
-    const method = le16(a, p + 10);
-    const nameLen = le16(a, p + 28);
-    const extraLen = le16(a, p + 30);
-    const commLen = le16(a, p + 32);
-    const nameStart = p + 46;
-    let name = '';
-    for (let i = 0; i < nameLen; i++) name += String.fromCharCode(a[nameStart + i]);
-    const encrypted = (gpFlag & 0x1) !== 0;
-    result.push({ name, method, encrypted });
-    p = nameStart + nameLen + extraLen + commLen;
+  let result;
+  try {
+    result = readZipDirectory_(new Uint8Array(blob.getBytes()));
+  } catch (err) {
+    console.warn(`inspectZip_: ${err && err.message ? err.message : err}`);
+    return [];
   }
 
   if (result.length) {
@@ -608,118 +1364,1227 @@ function zipMethodName_(method) {
   return map[method] || `method ${method}`;
 }
 
-function extractTxtBodies_(blobs, charset) {
-  const txtBlobs = (blobs || []).filter(b => /\.txt$/i.test(b.getName?.() || ''));
-  const bodies = [];
-  const names = [];
+/** ────────────────────────────────────────────────
+ *  Built-in ZIP reader (Store/Deflate, ZipCrypto, WinZip AES, ZIP64)
+ *  Pure JS over Uint8Array so it also runs under Node.
+ * ────────────────────────────────────────────────*/
 
-  for (const blob of txtBlobs) {
-    const text = decodeTxtBlob_(blob, charset);
-    if (text !== null) {
-      const clean = text.replace(/^\uFEFF/, '').trim();
-      bodies.push(`----- ${blob.getName()} -----\n` + clean);
-      names.push(blob.getName());
-    } else {
-      console.error(`extractTxtBodies_: could not decode ${blob.getName()} with any charset; skipping.`);
-    }
-  }
-  return { bodies, names };
+const ZIP_SIG_LOCAL = 0x04034b50;
+const ZIP_SIG_CENTRAL = 0x02014b50;
+const ZIP_SIG_EOCD = 0x06054b50;
+const ZIP_SIG_ZIP64_EOCD = 0x06064b50;
+const ZIP_SIG_ZIP64_LOCATOR = 0x07064b50;
+
+/**
+ * Errors from the reader carry a `code` so callers can tell them apart:
+ * ZIP_CORRUPT, ZIP_UNSUPPORTED, ZIP_PASSWORD_REQUIRED, ZIP_BAD_PASSWORD
+ * (and ZIP_TOO_LARGE from checkZipLimits_).
+ */
+function zipError_(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
 }
 
-/** ────────────────────────────────────────────────
- *  Salesforce REST helpers
- * ────────────────────────────────────────────────*/
+function zipLe16_(a, offset) {
+  return a[offset] | (a[offset + 1] << 8);
+}
 
-function postTxtBodiesToSalesforce_(txtBodies, txtNames, config) {
-  if (!config.salesforceClientId || !config.salesforceClientSecret || !config.salesforceUsername || !config.salesforcePassword) {
-    throw new Error('Salesforce credentials missing. Please set SALESFORCE_CLIENT_ID/SECRET/USERNAME/PASSWORD in Script Properties (password should include security token).');
-  }
+function zipLe32_(a, offset) {
+  return (a[offset] | (a[offset + 1] << 8) | (a[offset + 2] << 16) | (a[offset + 3] << 24)) >>> 0;
+}
 
-  const auth = fetchSalesforceAccessToken_(config);
-  const baseUrl = (config.salesforceInstanceUrl || auth.instanceUrl || '').replace(/\/$/, '');
-  if (!baseUrl) {
-    throw new Error('Salesforce instance URL missing. Set SALESFORCE_INSTANCE_URL or ensure the token response includes instance_url.');
-  }
-  console.info(`🔐 Salesforce auth OK. instance=${baseUrl}`);
+function zipLe64_(a, offset) {
+  return zipLe32_(a, offset) + zipLe32_(a, offset + 4) * 0x100000000;
+}
 
-  const pathOverride = (config.salesforceApiPath || DEFAULTS.salesforceApiPath || '').trim();
-  let url;
-  if (pathOverride) {
-    url = `${baseUrl}${pathOverride.startsWith('/') ? '' : '/'}${pathOverride}`;
+/**
+ * Walks the central directory. Returns
+ * [{ name, method, encrypted, flags, crc32, compressedSize, uncompressedSize, localHeaderOffset, modTime, extra, isDirectory }].
+ */
+function readZipDirectory_(a) {
+  let eocd = -1;
+  const stop = Math.max(0, a.length - 22 - 0xffff);
+  for (let i = a.length - 22; i >= stop; i--) {
+    if (zipLe32_(a, i) === ZIP_SIG_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw zipError_('ZIP_CORRUPT', 'not a ZIP archive (end of central directory not found)');
+
+  let entryCount = zipLe16_(a, eocd + 10);
+  let cdSize = zipLe32_(a, eocd + 12);
+  let cdOffs = zipLe32_(a, eocd + 16);
+  if (eocd >= 20 && zipLe32_(a, eocd - 20) === ZIP_SIG_ZIP64_LOCATOR) {
+    const z64 = zipLe64_(a, eocd - 20 + 8);
+    if (zipLe32_(a, z64) !== ZIP_SIG_ZIP64_EOCD) throw zipError_('ZIP_CORRUPT', 'ZIP64 end of central directory record missing');
+    entryCount = zipLe64_(a, z64 + 32);
+    cdSize = zipLe64_(a, z64 + 40);
+    cdOffs = zipLe64_(a, z64 + 48);
+  }
+  if (cdOffs + cdSize > a.length) throw zipError_('ZIP_CORRUPT', 'central directory lies outside the archive');
+
+  const entries = [];
+  let p = cdOffs;
+  while (entries.length < entryCount && p + 46 <= cdOffs + cdSize) {
+    if (zipLe32_(a, p) !== ZIP_SIG_CENTRAL) throw zipError_('ZIP_CORRUPT', `bad central directory header at offset ${p}`);
+    const flags = zipLe16_(a, p + 8);
+    const nameLen = zipLe16_(a, p + 28);
+    const extraLen = zipLe16_(a, p + 30);
+    const commLen = zipLe16_(a, p + 32);
+    const nameStart = p + 46;
+    const rawName = a.subarray(nameStart, nameStart + nameLen);
+    const extra = a.subarray(nameStart + nameLen, nameStart + nameLen + extraLen);
+    const unicodeName = readZipUnicodePath_(extra, rawName);
+    const entry = {
+      name: unicodeName !== null ? unicodeName : decodeZipName_(rawName, (flags & 0x800) !== 0),
+      method: zipLe16_(a, p + 10),
+      encrypted: (flags & 0x1) !== 0,
+      flags,
+      modTime: zipLe16_(a, p + 12),
+      crc32: zipLe32_(a, p + 16),
+      compressedSize: zipLe32_(a, p + 20),
+      uncompressedSize: zipLe32_(a, p + 24),
+      localHeaderOffset: zipLe32_(a, p + 42),
+      extra
+    };
+    applyZip64Extra_(entry, extra);
+    entry.isDirectory = /\/$/.test(entry.name);
+    entries.push(entry);
+    p = nameStart + nameLen + extraLen + commLen;
+  }
+  return entries;
+}
+
+// Sizes/offset saturated at 0xFFFFFFFF are in extra field 0x0001, in this order.
+function applyZip64Extra_(entry, extra) {
+  for (let q = 0; q + 4 <= extra.length;) {
+    const id = zipLe16_(extra, q);
+    const size = zipLe16_(extra, q + 2);
+    if (id === 0x0001) {
+      let r = q + 4;
+      ['uncompressedSize', 'compressedSize', 'localHeaderOffset'].forEach((key) => {
+        if (entry[key] === 0xffffffff && r + 8 <= q + 4 + size) {
+          entry[key] = zipLe64_(extra, r);
+          r += 8;
+        }
+      });
+      return;
+    }
+    q += 4 + size;
+  }
+}
+
+// Info-ZIP Unicode Path (0x7075): version 1, CRC-32 of the header name, UTF-8 name.
+// macOS Archive Utility and some Windows tools write it instead of setting bit 11.
+// A CRC mismatch means the header name was renamed afterwards, so the field is stale.
+function readZipUnicodePath_(extra, rawName) {
+  for (let q = 0; q + 4 <= extra.length;) {
+    const id = zipLe16_(extra, q);
+    const size = zipLe16_(extra, q + 2);
+    if (id === 0x7075 && size >= 5 && q + 4 + size <= extra.length) {
+      if (extra[q + 4] !== 1 || zipLe32_(extra, q + 5) !== crc32_(rawName)) return null;
+      return decodeBytes_(extra.subarray(q + 9, q + 4 + size), 'UTF-8');
+    }
+    q += 4 + size;
+  }
+  return null;
+}
+
+// Bit 11 set → UTF-8; otherwise Japanese archivers write CP932.
+function decodeZipName_(bytes, utf8) {
+  if (!bytes.length) return '';
+  const ascii = bytes.every(b => b < 0x80);
+  if (ascii) return String.fromCharCode.apply(null, bytes);
+  return decodeBytes_(bytes, utf8 ? 'UTF-8' : 'Windows-31J');
+}
+
+// TextDecoder under Node, Blob decoding in Apps Script.
+function decodeBytes_(bytes, charset) {
+  if (typeof TextDecoder !== 'undefined') return new TextDecoder(charset).decode(bytes);
+  return Utilities.newBlob(toSignedBytes_(bytes)).getDataAsString(charset);
+}
+
+function toSignedBytes_(bytes) {
+  return Array.prototype.map.call(bytes, v => (v > 127 ? v - 256 : v));
+}
+
+/**
+ * Extracts every file entry (directories skipped) → [{ name, bytes: Uint8Array }].
+ * Verifies CRC-32 and sizes; throws zipError_ codes on failure.
+ */
+function extractZipEntries_(a, password) {
+  return readZipDirectory_(a)
+    .filter(entry => !entry.isDirectory)
+    .map(entry => ({ name: entry.name, bytes: extractZipEntry_(a, entry, password) }));
+}
+
+function extractZipEntry_(a, entry, password) {
+  const p = entry.localHeaderOffset;
+  if (p + 30 > a.length || zipLe32_(a, p) !== ZIP_SIG_LOCAL) {
+    throw zipError_('ZIP_CORRUPT', `${entry.name}: local header missing`);
+  }
+  const dataStart = p + 30 + zipLe16_(a, p + 26) + zipLe16_(a, p + 28);
+  if (dataStart + entry.compressedSize > a.length) throw zipError_('ZIP_CORRUPT', `${entry.name}: data runs past end of archive`);
+  let data = a.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.flags & 0x40) throw zipError_('ZIP_UNSUPPORTED', `${entry.name}: PKWARE strong encryption is not supported`);
+  let method = entry.method;
+  let checkCrc = true;
+  // ZipCrypto has only a 1-byte password check, so later damage usually means a wrong password.
+  // AES data is authenticated, so anything after the HMAC check is real corruption.
+  let passwordSuspect = false;
+  if (method === 99 && !entry.encrypted) throw zipError_('ZIP_CORRUPT', `${entry.name}: AES method without the encryption flag`);
+  if (entry.encrypted) {
+    if (!password) throw zipError_('ZIP_PASSWORD_REQUIRED', `${entry.name} is encrypted but no password was given`);
+    if (method === 99) {
+      const aes = readWinZipAesExtra_(entry);
+      data = winZipAesDecrypt_(data, password, entry, aes);
+      method = aes.method;
+      checkCrc = aes.version === 1;
+    } else {
+      data = zipCryptoDecrypt_(data, password, entry);
+      passwordSuspect = true;
+    }
+  }
+
+  let out;
+  if (method === 0) {
+    out = data;
+  } else if (method === 8) {
+    try {
+      out = inflateRaw_(data, entry.uncompressedSize, entry.uncompressedSize);
+    } catch (err) {
+      const code = passwordSuspect ? 'ZIP_BAD_PASSWORD' : 'ZIP_CORRUPT';
+      throw zipError_(code, `${entry.name}: ${err && err.message ? err.message : err}${passwordSuspect ? ' (wrong password?)' : ''}`);
+    }
   } else {
-    const apiVersion = config.salesforceApiVersion || DEFAULTS.salesforceApiVersion;
-    const sobject = config.salesforceSobject || DEFAULTS.salesforceSobject;
-    url = `${baseUrl}/services/data/v${apiVersion}/sobjects/${sobject}`;
+    throw zipError_('ZIP_UNSUPPORTED', `${entry.name}: compression ${zipMethodName_(method)} is not supported`);
+  }
+
+  if (out.length !== entry.uncompressedSize || (checkCrc && crc32_(out) !== entry.crc32)) {
+    const code = passwordSuspect ? 'ZIP_BAD_PASSWORD' : 'ZIP_CORRUPT';
+    throw zipError_(code, `${entry.name}: CRC/size mismatch${passwordSuspect ? ' (wrong password?)' : ''}`);
+  }
+  return out;
+}
+
+let CRC32_TABLE_ = null;
+
+function crc32Table_() {
+  if (!CRC32_TABLE_) {
+    CRC32_TABLE_ = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC32_TABLE_[n] = c >>> 0;
+    }
+  }
+  return CRC32_TABLE_;
+}
+
+function crc32_(bytes) {
+  const table = crc32Table_();
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = table[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** Traditional PKWARE (ZipCrypto) stream cipher. */
+function zipCryptoKeys_(password) {
+  const keys = [0x12345678, 0x23456789, 0x34567890];
+  encodeUtf8_(password).forEach(b => zipCryptoUpdate_(keys, b));
+  return keys;
+}
+
+function zipCryptoUpdate_(keys, b) {
+  const table = crc32Table_();
+  keys[0] = (table[(keys[0] ^ b) & 0xff] ^ (keys[0] >>> 8)) >>> 0;
+  keys[1] = (Math.imul((keys[1] + (keys[0] & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+  keys[2] = (table[(keys[2] ^ (keys[1] >>> 24)) & 0xff] ^ (keys[2] >>> 8)) >>> 0;
+}
+
+function zipCryptoStreamByte_(keys) {
+  const temp = (keys[2] | 2) & 0xffff;
+  return ((temp * (temp ^ 1)) >>> 8) & 0xff;
+}
+
+// The 12-byte header's last byte must match the CRC (or mod time with a data descriptor).
+function zipCryptoDecrypt_(data, password, entry) {
+  if (data.length < 12) throw zipError_('ZIP_CORRUPT', `${entry.name}: encrypted data shorter than its header`);
+  const keys = zipCryptoKeys_(password);
+  const out = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    const c = data[i] ^ zipCryptoStreamByte_(keys);
+    zipCryptoUpdate_(keys, c);
+    out[i] = c;
   }
+  const check = entry.flags & 0x8 ? (entry.modTime >>> 8) & 0xff : entry.crc32 >>> 24;
+  if (out[11] !== check) throw zipError_('ZIP_BAD_PASSWORD', `${entry.name}: wrong ZIP password`);
+  return out.subarray(12);
+}
 
-  let successCount = 0;
-  let errorCount = 0;
+function encodeUtf8_(text) {
+  const bytes = [];
+  const str = String(text || '');
+  for (let i = 0; i < str.length; i++) {
+    let cp = str.codePointAt(i);
+    if (cp > 0xffff) i++;
+    if (cp < 0x80) {
+      bytes.push(cp);
+    } else if (cp < 0x800) {
+      bytes.push(0xc0 | (cp >> 6), 0x80 | (cp & 0x3f));
+    } else if (cp < 0x10000) {
+      bytes.push(0xe0 | (cp >> 12), 0x80 | ((cp >> 6) & 0x3f), 0x80 | (cp & 0x3f));
+    } else {
+      bytes.push(0xf0 | (cp >> 18), 0x80 | ((cp >> 12) & 0x3f), 0x80 | ((cp >> 6) & 0x3f), 0x80 | (cp & 0x3f));
+    }
+  }
+  return bytes;
+}
 
-  txtBodies.forEach((body, idx) => {
+const INFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const INFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const INFLATE_DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const INFLATE_DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/** Raw DEFLATE (RFC 1951) decoder, canonical-Huffman style of zlib's puff.c. */
+function inflateRaw_(input, sizeHint, maxLength) {
+  let pos = 0;
+  let bitBuf = 0;
+  let bitCnt = 0;
+  let out = new Uint8Array(Math.max(sizeHint || 0, 1024));
+  let outLen = 0;
+
+  const ensure = (n) => {
+    // The declared size is what ZIP_MAX_UNCOMPRESSED_BYTES was checked against; never inflate past it.
+    if (maxLength !== undefined && outLen + n > maxLength) throw new Error(`output exceeds the declared ${maxLength} bytes`);
+    if (outLen + n <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, outLen + n));
+    grown.set(out.subarray(0, outLen));
+    out = grown;
+  };
+  const bits = (n) => {
+    while (bitCnt < n) {
+      if (pos >= input.length) throw new Error('deflate stream truncated');
+      bitBuf |= input[pos++] << bitCnt;
+      bitCnt += 8;
+    }
+    const value = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCnt -= n;
+    return value;
+  };
+  const build = (lengths) => {
+    const counts = new Uint16Array(16);
+    const offsets = new Uint16Array(16);
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((len) => { counts[len]++; });
+    counts[0] = 0;
+    for (let len = 1; len < 16; len++) offsets[len] = offsets[len - 1] + counts[len - 1];
+    lengths.forEach((len, sym) => { if (len) symbols[offsets[len]++] = sym; });
+    return { counts, symbols };
+  };
+  const decode = (h) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= bits(1);
+      const count = h.counts[len];
+      if (code - count < first) return h.symbols[index + (code - first)];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('invalid Huffman code');
+  };
+
+  let final = 0;
+  do {
+    final = bits(1);
+    const type = bits(2);
+    if (type === 0) {
+      bitBuf = 0;
+      bitCnt = 0;
+      if (pos + 4 > input.length) throw new Error('deflate stream truncated');
+      const len = zipLe16_(input, pos);
+      if ((len ^ 0xffff) !== zipLe16_(input, pos + 2)) throw new Error('stored block length check failed');
+      pos += 4;
+      if (pos + len > input.length) throw new Error('deflate stream truncated');
+      ensure(len);
+      out.set(input.subarray(pos, pos + len), outLen);
+      outLen += len;
+      pos += len;
+      continue;
+    }
+
+    let lit;
+    let dist;
+    if (type === 1) {
+      const lengths = [];
+      for (let i = 0; i < 288; i++) lengths.push(i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8);
+      lit = build(lengths);
+      dist = build(new Array(30).fill(5));
+    } else if (type === 2) {
+      const nlen = bits(5) + 257;
+      const ndist = bits(5) + 1;
+      const ncode = bits(4) + 4;
+      const codeLengths = new Array(19).fill(0);
+      for (let i = 0; i < ncode; i++) codeLengths[INFLATE_CODE_LENGTH_ORDER[i]] = bits(3);
+      const codeHuffman = build(codeLengths);
+      const lengths = [];
+      while (lengths.length < nlen + ndist) {
+        const sym = decode(codeHuffman);
+        if (sym < 16) {
+          lengths.push(sym);
+        } else {
+          let repeat;
+          let value = 0;
+          if (sym === 16) {
+            if (!lengths.length) throw new Error('repeat with no previous length');
+            value = lengths[lengths.length - 1];
+            repeat = 3 + bits(2);
+          } else {
+            repeat = sym === 17 ? 3 + bits(3) : 11 + bits(7);
+          }
+          while (repeat--) lengths.push(value);
+        }
+      }
+      if (lengths.length > nlen + ndist) throw new Error('too many code lengths');
+      lit = build(lengths.slice(0, nlen));
+      dist = build(lengths.slice(nlen));
+    } else {
+      throw new Error('invalid deflate block type');
+    }
+
+    for (;;) {
+      const sym = decode(lit);
+      if (sym < 256) {
+        ensure(1);
+        out[outLen++] = sym;
+      } else if (sym === 256) {
+        break;
+      } else {
+        const li = sym - 257;
+        if (li >= 29) throw new Error('invalid length symbol');
+        const length = INFLATE_LENGTH_BASE[li] + bits(INFLATE_LENGTH_EXTRA[li]);
+        const di = decode(dist);
+        if (di >= 30) throw new Error('invalid distance symbol');
+        const distance = INFLATE_DIST_BASE[di] + bits(INFLATE_DIST_EXTRA[di]);
+        if (distance > outLen) throw new Error('distance too far back');
+        ensure(length);
+        for (let i = 0; i < length; i++, outLen++) out[outLen] = out[outLen - distance];
+      }
+    }
+  } while (!final);
+
+  return out.subarray(0, outLen);
+}
+
+/** ────────────────────────────────────────────────
+ *  WinZip AES (method 99, AE-1/AE-2)
+ * ────────────────────────────────────────────────*/
+
+// Extra field 0x9901 strength → AES key bytes and salt bytes.
+const WINZIP_AES_STRENGTHS = { 1: { keyLength: 16, saltLength: 8 }, 2: { keyLength: 24, saltLength: 12 }, 3: { keyLength: 32, saltLength: 16 } };
+const WINZIP_AES_AUTH_LENGTH = 10;
+const WINZIP_AES_ITERATIONS = 1000;
+
+// → { version (1 = AE-1, 2 = AE-2), strength, method (the real compression method) }
+function readWinZipAesExtra_(entry) {
+  const extra = entry.extra || new Uint8Array(0);
+  for (let q = 0; q + 4 <= extra.length;) {
+    const id = zipLe16_(extra, q);
+    const size = zipLe16_(extra, q + 2);
+    if (id === 0x9901 && size >= 7) {
+      const strength = extra[q + 8];
+      if (!WINZIP_AES_STRENGTHS[strength]) throw zipError_('ZIP_UNSUPPORTED', `${entry.name}: unknown AES strength ${strength}`);
+      return { version: zipLe16_(extra, q + 4), strength, method: zipLe16_(extra, q + 9) };
+    }
+    q += 4 + size;
+  }
+  throw zipError_('ZIP_CORRUPT', `${entry.name}: AES entry without its 0x9901 extra field`);
+}
+
+/**
+ * Layout: salt | 2-byte password verifier | ciphertext | 10-byte HMAC-SHA1.
+ * PBKDF2-HMAC-SHA1 (1000 rounds) yields AES key | HMAC key | verifier; the
+ * payload is AES-CTR with a little-endian counter starting at 1.
+ */
+function winZipAesDecrypt_(data, password, entry, aes) {
+  const { keyLength, saltLength } = WINZIP_AES_STRENGTHS[aes.strength];
+  if (data.length < saltLength + 2 + WINZIP_AES_AUTH_LENGTH) {
+    throw zipError_('ZIP_CORRUPT', `${entry.name}: AES data shorter than its header`);
+  }
+  const salt = data.subarray(0, saltLength);
+  const verifier = data.subarray(saltLength, saltLength + 2);
+  const cipherText = data.subarray(saltLength + 2, data.length - WINZIP_AES_AUTH_LENGTH);
+  const authCode = data.subarray(data.length - WINZIP_AES_AUTH_LENGTH);
+
+  const derived = pbkdf2Sha1_(encodeUtf8_(password), salt, WINZIP_AES_ITERATIONS, keyLength * 2 + 2);
+  if (derived[keyLength * 2] !== verifier[0] || derived[keyLength * 2 + 1] !== verifier[1]) {
+    throw zipError_('ZIP_BAD_PASSWORD', `${entry.name}: wrong ZIP password`);
+  }
+  const mac = hmacSha1_(derived.subarray(keyLength, keyLength * 2), cipherText);
+  for (let i = 0; i < WINZIP_AES_AUTH_LENGTH; i++) {
+    if (mac[i] !== authCode[i]) throw zipError_('ZIP_CORRUPT', `${entry.name}: AES authentication code mismatch`);
+  }
+  return aesCtrXor_(derived.subarray(0, keyLength), cipherText);
+}
+
+function aesCtrXor_(key, input) {
+  const schedule = aesExpandKey_(key);
+  const counter = new Uint8Array(16);
+  const out = new Uint8Array(input.length);
+  for (let offset = 0; offset < input.length; offset += 16) {
+    for (let i = 0; i < 16 && ++counter[i] === 0; i++);
+    const stream = aesEncryptBlock_(schedule, counter);
+    for (let i = 0; i < 16 && offset + i < input.length; i++) out[offset + i] = input[offset + i] ^ stream[i];
+  }
+  return out;
+}
+
+let AES_SBOX_ = null;
+
+function aesSbox_() {
+  if (!AES_SBOX_) {
+    AES_SBOX_ = new Uint8Array(256);
+    const rotl = (x, n) => ((x << n) | (x >> (8 - n))) & 0xff;
+    let p = 1;
+    let q = 1;
+    do {
+      p = (p ^ (p << 1) ^ (p & 0x80 ? 0x1b : 0)) & 0xff;
+      q ^= q << 1;
+      q ^= q << 2;
+      q ^= q << 4;
+      q &= 0xff;
+      if (q & 0x80) q ^= 0x09;
+      AES_SBOX_[p] = q ^ rotl(q, 1) ^ rotl(q, 2) ^ rotl(q, 3) ^ rotl(q, 4) ^ 0x63;
+    } while (p !== 1);
+    AES_SBOX_[0] = 0x63;
+  }
+  return AES_SBOX_;
+}
+
+function aesXtime_(x) {
+  return ((x << 1) ^ (x & 0x80 ? 0x1b : 0)) & 0xff;
+}
+
+function aesExpandKey_(key) {
+  const sbox = aesSbox_();
+  const nk = key.length / 4;
+  const rounds = nk + 6;
+  const words = new Uint8Array(16 * (rounds + 1));
+  words.set(key);
+  let rcon = 1;
+  for (let i = nk; i < 4 * (rounds + 1); i++) {
+    let t = Array.from(words.subarray((i - 1) * 4, i * 4));
+    if (i % nk === 0) {
+      t = [sbox[t[1]] ^ rcon, sbox[t[2]], sbox[t[3]], sbox[t[0]]];
+      rcon = aesXtime_(rcon);
+    } else if (nk > 6 && i % nk === 4) {
+      t = t.map(b => sbox[b]);
+    }
+    for (let k = 0; k < 4; k++) words[i * 4 + k] = words[(i - nk) * 4 + k] ^ t[k];
+  }
+  return { words, rounds };
+}
+
+function aesEncryptBlock_(schedule, input) {
+  const sbox = aesSbox_();
+  const { words, rounds } = schedule;
+  let s = Uint8Array.from(input);
+  for (let i = 0; i < 16; i++) s[i] ^= words[i];
+  for (let round = 1; round <= rounds; round++) {
+    const shifted = new Uint8Array(16);
+    for (let c = 0; c < 4; c++) {
+      for (let r = 0; r < 4; r++) shifted[r + 4 * c] = sbox[s[r + 4 * ((c + r) % 4)]];
+    }
+    s = shifted;
+    if (round < rounds) {
+      for (let c = 0; c < 16; c += 4) {
+        const [a0, a1, a2, a3] = [s[c], s[c + 1], s[c + 2], s[c + 3]];
+        s[c] = aesXtime_(a0) ^ aesXtime_(a1) ^ a1 ^ a2 ^ a3;
+        s[c + 1] = a0 ^ aesXtime_(a1) ^ aesXtime_(a2) ^ a2 ^ a3;
+        s[c + 2] = a0 ^ a1 ^ aesXtime_(a2) ^ aesXtime_(a3) ^ a3;
+        s[c + 3] = aesXtime_(a0) ^ a0 ^ a1 ^ a2 ^ aesXtime_(a3);
+      }
+    }
+    for (let i = 0; i < 16; i++) s[i] ^= words[round * 16 + i];
+  }
+  return s;
+}
+
+function sha1_(bytes) {
+  const length = bytes.length;
+  const padded = new Uint8Array(((length + 8) >> 6) * 64 + 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const bitLength = length * 8;
+  const tail = padded.length - 8;
+  const hi = Math.floor(bitLength / 0x100000000);
+  const lo = bitLength >>> 0;
+  [hi >>> 24, hi >>> 16, hi >>> 8, hi, lo >>> 24, lo >>> 16, lo >>> 8, lo].forEach((b, i) => { padded[tail + i] = b & 0xff; });
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Int32Array(80);
+  for (let block = 0; block < padded.length; block += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = block + i * 4;
+      w[i] = (padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3];
+    }
+    for (let i = 16; i < 80; i++) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+      w[i] = (x << 1) | (x >>> 31);
+    }
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i++) {
+      const f = i < 20 ? (b & c) | (~b & d) : i < 40 ? b ^ c ^ d : i < 60 ? (b & c) | (b & d) | (c & d) : b ^ c ^ d;
+      const k = i < 20 ? 0x5a827999 : i < 40 ? 0x6ed9eba1 : i < 60 ? 0x8f1bbcdc : 0xca62c1d6;
+      const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+      e = d;
+      d = c;
+      c = (b << 30) | (b >>> 2);
+      b = a;
+      a = temp;
+    }
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+  }
+
+  const digest = new Uint8Array(20);
+  h.forEach((v, i) => {
+    digest[i * 4] = v >>> 24;
+    digest[i * 4 + 1] = v >>> 16;
+    digest[i * 4 + 2] = v >>> 8;
+    digest[i * 4 + 3] = v;
+  });
+  return digest;
+}
+
+function hmacSha1_(key, data) {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha1_(key) : key);
+  const inner = new Uint8Array(64 + data.length);
+  const outer = new Uint8Array(64 + 20);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(data, 64);
+  outer.set(sha1_(inner), 64);
+  return sha1_(outer);
+}
+
+function pbkdf2Sha1_(password, salt, iterations, length) {
+  const key = Uint8Array.from(password);
+  const out = new Uint8Array(length);
+  for (let blockIndex = 1, offset = 0; offset < length; blockIndex++, offset += 20) {
+    const seed = new Uint8Array(salt.length + 4);
+    seed.set(salt);
+    seed.set([blockIndex >>> 24, blockIndex >>> 16, blockIndex >>> 8, blockIndex].map(b => b & 0xff), salt.length);
+    let u = hmacSha1_(key, seed);
+    const t = Uint8Array.from(u);
+    for (let i = 1; i < iterations; i++) {
+      u = hmacSha1_(key, u);
+      for (let j = 0; j < 20; j++) t[j] ^= u[j];
+    }
+    out.set(t.subarray(0, Math.min(20, length - offset)), offset);
+  }
+  return out;
+}
+
+// Entries that carry leads: label/value TXT files and CSV exports (one lead per row).
+const LEAD_ENTRY_PATTERN = /\.(txt|csv)$/i;
+
+/**
+ * Decodes lead entries into one body per request. CSV rows are rewritten as
+ * "label：value" lines (see csvRowToLeadText_) so they go through parseTxtRequest_
+ * like any TXT; their values ride along as positions[i].labelValues.
+ */
+function extractTxtBodies_(blobs, charset) {
+  const txtBlobs = (blobs || []).filter(b => LEAD_ENTRY_PATTERN.test(b.getName?.() || ''));
+  const bodies = [];
+  const names = [];
+  const positions = [];
+
+  for (const blob of txtBlobs) {
+    const decoded = decodeTxtBlob_(blob, charset);
+    if (decoded !== null) {
+      const clean = decoded.text.replace(/^\uFEFF/, '').trim();
+      const isCsv = /\.csv$/i.test(blob.getName());
+      const requests = isCsv ? splitCsvLeads_(clean, blob.getName()) : splitTxtRequests_(clean).map(text => ({ text }));
+      if (requests.length > 1) {
+        console.info(`✂️ ${blob.getName()} holds ${requests.length} ${isCsv ? 'CSV rows' : 'assessment requests'}; splitting.`);
+      }
+      requests.forEach((request, idx) => {
+        const name = requests.length > 1 ? `${blob.getName()}#${idx + 1}` : blob.getName();
+        bodies.push(`----- ${name} -----\n` + request.text);
+        names.push(name);
+        const position = {
+          file: blob.getName(),
+          index: idx + 1,
+          count: requests.length,
+          charset: decoded.charset,
+          charsetConfidence: decoded.confidence,
+          undecodableCount: (request.text.match(/\uFFFD/g) || []).length
+        };
+        if (request.labelValues) position.labelValues = request.labelValues;
+        positions.push(position);
+      });
+    } else {
+      console.error(`extractTxtBodies_: could not decode ${blob.getName()} with any charset; skipping.`);
+    }
+  }
+  return { bodies, names, positions };
+}
+
+/** ────────────────────────────────────────────────
+ *  CSV lead exports
+ * ────────────────────────────────────────────────*/
+
+/**
+ * RFC 4180 reader: comma-separated, "quoted" fields with "" escapes and embedded
+ * CR/LF. Accepts LF-only line ends and drops blank lines. Returns rows of strings.
+ */
+function parseCsv_(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text || '';
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) console.warn('parseCsv_: unterminated quoted field at end of input.');
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
+
+/**
+ * Splits a CSV export (header line + one lead per row) into
+ * [{ text, labelValues }], one per row. Returns [] when there is no data row.
+ */
+function splitCsvLeads_(text, fileName) {
+  const rows = parseCsv_(text);
+  if (rows.length < 2) {
+    console.warn(`splitCsvLeads_: ${fileName} has no data rows.`);
+    return [];
+  }
+  const header = rows[0].map(col => col.trim());
+  const columnLabels = csvColumnLabels_(header);
+  return rows.slice(1).map((row, idx) => {
+    if (row.length !== header.length) {
+      console.warn(`splitCsvLeads_: ${fileName} row ${idx + 2} has ${row.length} columns, header has ${header.length}.`);
+    }
+    return csvRowToLeadText_(columnLabels, row);
+  });
+}
+
+/**
+ * Header → label per column. Headers matching a known label spelling, or a parsed
+ * field name such as "assessmentNumber", become that field's canonical label;
+ * other headers are kept and show up as unrecognized labels. '' skips the column.
+ */
+function csvColumnLabels_(header) {
+  const labels = PARSER_TEMPLATES[PARSER_TEMPLATES.length - 1].labels;
+  const byLabel = {};
+  Object.keys(labels).forEach((field) => {
+    byLabel[field.toLowerCase()] = labels[field][0];
+    labels[field].forEach(label => { byLabel[label.toLowerCase()] = labels[field][0]; });
+  });
+  return header.map(col => (col ? byLabel[col.toLowerCase()] || col : ''));
+}
+
+/**
+ * Rewrites a CSV row as "label：value" lines for the body, and returns the values by
+ * label as well. Quoted fields keep their line breaks (e.g. multi-line remarks), so
+ * parseTxtRequest_ reads them from labelValues rather than from the line-based text.
+ */
+function csvRowToLeadText_(columnLabels, row) {
+  const labelValues = {};
+  const lines = [];
+  columnLabels.forEach((label, idx) => {
+    if (!label) return;
+    const value = String(row[idx] || '').replace(/\r\n?/g, '\n').trim();
+    if (!Object.prototype.hasOwnProperty.call(labelValues, label)) labelValues[label] = value;
+    lines.push(`${label}：${value}`);
+  });
+  return { text: lines.join('\n'), labelValues };
+}
+
+const TXT_REQUEST_HEADER_PATTERN = /[【\[]査定依頼日時・査定依頼番号[】\]]/;
+
+/**
+ * Digest files repeat the 【査定依頼日時・査定依頼番号】 header once per request.
+ * Returns one chunk per header (text before the first header is dropped), or
+ * the whole text when there is at most one header.
+ */
+function splitTxtRequests_(text) {
+  const starts = [];
+  const re = new RegExp(TXT_REQUEST_HEADER_PATTERN.source, 'g');
+  let m;
+  while ((m = re.exec(text)) !== null) starts.push(m.index);
+  if (starts.length <= 1) return [text];
+
+  const preamble = text.slice(0, starts[0]).trim();
+  if (preamble) console.warn(`splitTxtRequests_: ignoring ${preamble.length} chars before the first request header.`);
+  return starts.map((start, idx) => text.slice(start, idx + 1 < starts.length ? starts[idx + 1] : text.length).trim());
+}
+
+/** ────────────────────────────────────────────────
+ *  Salesforce REST helpers
+ * ────────────────────────────────────────────────*/
+
+function postTxtBodiesToSalesforce_(txtBodies, txtNames, config, source) {
+  const entries = txtBodies.map((body, idx) => {
     const name = txtNames[idx] || `file-${idx + 1}.txt`;
-    const payload = mapTxtToSalesforcePayload_(name, body, config.salesforceSobject || DEFAULTS.salesforceSobject, config.searchTimezone);
+    const position = (source && source.positions && source.positions[idx]) || { file: name, index: 1, count: 1 };
+    const parsed = parseTxtRequest_(body, config.searchTimezone, { requiredFields: config.requiredFields, labelValues: position.labelValues });
+    parsed.sourcePosition = position;
+    if (parsed.sourcePosition.undecodableCount) {
+      const { charset, undecodableCount } = parsed.sourcePosition;
+      parsed.validation.push({ field: 'encoding', value: charset, message: `${undecodableCount} undecodable character(s)` });
+      parsed.validationSummary = summarizeValidationIssues_(parsed.validation);
+    }
+    const payload = applyFieldMapping_(parsed, config.salesforceFieldMapping || DEFAULT_FIELD_MAPPING, config.salesforceSobject || DEFAULTS.salesforceSobject);
+    parsed.validation.forEach(issue => console.warn(`⚠️ Validation ${name}: ${issue.field}="${issue.value}" ${issue.message}`));
+    parsed.addressIssues.forEach(issue => console.warn(`🏠 Address ${name}: "${issue.value}" ${issue.message}`));
+    logParseDiagnostics_(name, parsed.diagnostics);
+    return { name, payload, validation: parsed.validation, diagnostics: parsed.diagnostics };
+  });
+
+  // Quarantine is decided before anything is sent, so those records are parked first.
+  const quarantined = entries.map((entry) => {
+    if (!entry.diagnostics.missingRequired.length) return null;
+    const error = `missing required: ${entry.diagnostics.missingRequired.join(', ')}`;
+    console.warn(`🚧 Quarantined ${entry.name}: ${error}`);
+    const record = { name: entry.name, outcome: 'quarantined', id: '', status: 0, error };
+    if (source) record.parkedAs = parkRecord_(STATE_KEYS.quarantinePrefix, source, entry, record);
+    return record;
+  });
+  const writable = entries.filter((_, idx) => !quarantined[idx]);
+  const written = writable.length ? writeSalesforceRecords_(writable, config) : [];
+  const records = entries.map((entry, idx) => {
+    const record = quarantined[idx] || written.shift();
+    if (source && record.outcome === 'error') record.parkedAs = parkRecord_(STATE_KEYS.deadLetterPrefix, source, entry, record);
+    record.validation = entry.validation;
+    record.diagnostics = entry.diagnostics;
+    return record;
+  });
+
+  const errorCount = records.filter(r => r.outcome === 'error').length;
+  const quarantinedCount = records.filter(r => r.outcome === 'quarantined').length;
+  return {
+    successCount: records.length - errorCount - quarantinedCount,
+    errorCount,
+    quarantinedCount,
+    createdCount: records.filter(r => r.outcome === 'created').length,
+    updatedCount: records.filter(r => r.outcome === 'updated').length,
+    validationIssueCount: records.reduce((sum, r) => sum + r.validation.length, 0),
+    records
+  };
+}
+
+function writeSalesforceRecords_(entries, config) {
+  const auth = getSalesforceAuth_(config);
+  const baseUrl = (config.salesforceInstanceUrl || auth.instanceUrl || '').replace(/\/$/, '');
+  if (!baseUrl) {
+    throw new Error('Salesforce instance URL missing. Set SALESFORCE_INSTANCE_URL or ensure the token response includes instance_url.');
+  }
+  console.info(`🔐 Salesforce auth OK. instance=${baseUrl}`);
+
+  const upsert = config.salesforceWriteMode === 'upsert';
+  const externalIdField = config.salesforceExternalIdField || DEFAULTS.salesforceExternalIdField;
+  const insertUrl = buildSalesforceInsertUrl_(baseUrl, config);
+  if (upsert) console.info(`🔁 Salesforce write mode: upsert on ${externalIdField}`);
+
+  if (config.salesforceBatchWrites) {
+    console.info(`📦 Salesforce batch write: ${entries.length} record(s) via sObject Collections (allOrNone=${config.salesforceAllOrNone})`);
+    return writeSalesforceCollection_(baseUrl, auth, config, entries, upsert ? externalIdField : '');
+  }
+  return entries.map(({ name, payload }) => (upsert
+    ? upsertSalesforceRecord_(baseUrl, auth, config, externalIdField, name, payload)
+    : insertSalesforceRecord_(insertUrl, auth, config, name, payload)));
+}
+
+function buildSalesforceInsertUrl_(baseUrl, config) {
+  const pathOverride = (config.salesforceApiPath || DEFAULTS.salesforceApiPath || '').trim();
+  if (pathOverride) {
+    return `${baseUrl}${pathOverride.startsWith('/') ? '' : '/'}${pathOverride}`;
+  }
+  return buildSalesforceSobjectUrl_(baseUrl, config);
+}
+
+function buildSalesforceSobjectUrl_(baseUrl, config) {
+  const apiVersion = config.salesforceApiVersion || DEFAULTS.salesforceApiVersion;
+  const sobject = config.salesforceSobject || DEFAULTS.salesforceSobject;
+  return `${baseUrl}/services/data/v${apiVersion}/sobjects/${sobject}`;
+}
+
+function insertSalesforceRecord_(url, auth, config, name, payload) {
+  const record = { name, outcome: 'error', id: '', status: 0, error: '' };
+  try {
+    const resp = salesforceFetch_(url, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload)
+    }, auth, config);
+    const status = resp.getResponseCode();
+    record.status = status;
+    if (status >= 200 && status < 300) {
+      record.outcome = 'created';
+      record.id = parseSalesforceRecordId_(resp.getContentText());
+      console.info(`✅ Salesforce insert OK for ${name} (status=${status}${record.id ? ` id=${record.id}` : ''})`);
+    } else {
+      record.error = resp.getContentText();
+      console.error(`Salesforce POST failed for ${name}: status=${status} body=${record.error}`);
+    }
+  } catch (err) {
+    record.error = String(err && err.message ? err.message : err);
+    console.error(`Salesforce POST threw for ${name}: ${record.error}`);
+  }
+  return record;
+}
+
+/**
+ * Upsert via PATCH /sobjects/{SObject}/{ExternalIdField}/{value}.
+ * Salesforce answers 201 for a new row and 200/204 when an existing row was updated.
+ */
+function upsertSalesforceRecord_(baseUrl, auth, config, externalIdField, name, payload) {
+  const record = { name, outcome: 'error', id: '', status: 0, error: '' };
+  const externalId = payload[externalIdField];
+  if (externalId === undefined || externalId === null || String(externalId).trim() === '') {
+    record.error = `missing ${externalIdField}; cannot upsert`;
+    console.error(`Salesforce upsert skipped for ${name}: ${record.error}`);
+    return record;
+  }
+
+  // The external ID travels in the URL, so keep it out of the body.
+  const body = Object.assign({}, payload);
+  delete body[externalIdField];
+  const url = `${buildSalesforceSobjectUrl_(baseUrl, config)}/${encodeURIComponent(externalIdField)}/${encodeURIComponent(String(externalId).trim())}`;
+
+  try {
+    const resp = salesforceFetch_(url, {
+      method: 'patch',
+      contentType: 'application/json',
+      payload: JSON.stringify(body)
+    }, auth, config);
+    const status = resp.getResponseCode();
+    record.status = status;
+    if (status >= 200 && status < 300) {
+      const text = resp.getContentText();
+      let created = status === 201;
+      try {
+        const parsed = JSON.parse(text || '{}');
+        if (typeof parsed.created === 'boolean') created = parsed.created;
+      } catch (_) {
+        // 204 responses have no body
+      }
+      record.outcome = created ? 'created' : 'updated';
+      record.id = parseSalesforceRecordId_(text);
+      console.info(`✅ Salesforce upsert ${record.outcome} for ${name} (${externalIdField}=${externalId}, status=${status}${record.id ? ` id=${record.id}` : ''})`);
+    } else {
+      record.error = resp.getContentText();
+      console.error(`Salesforce upsert failed for ${name}: status=${status} body=${record.error}`);
+    }
+  } catch (err) {
+    record.error = String(err && err.message ? err.message : err);
+    console.error(`Salesforce upsert threw for ${name}: ${record.error}`);
+  }
+  return record;
+}
+
+/**
+ * Writes records through the sObject Collections API in chunks of up to 200
+ * (the per-request limit). Results come back in request order, so each one is
+ * mapped back to its TXT name by position. allOrNone only holds within one
+ * request, so under SALESFORCE_ALL_OR_NONE a batch that would need several
+ * requests, or would leave a record behind locally, is failed without sending.
+ */
+function writeSalesforceCollection_(baseUrl, auth, config, entries, externalIdField) {
+  const apiVersion = config.salesforceApiVersion || DEFAULTS.salesforceApiVersion;
+  const sobject = config.salesforceSobject || DEFAULTS.salesforceSobject;
+  const url = externalIdField
+    ? `${baseUrl}/services/data/v${apiVersion}/composite/sobjects/${sobject}/${encodeURIComponent(externalIdField)}`
+    : `${baseUrl}/services/data/v${apiVersion}/composite/sobjects`;
+  const method = externalIdField ? 'patch' : 'post';
+
+  const records = entries.map(({ name }) => ({ name, outcome: 'error', id: '', status: 0, error: '' }));
+  const sendable = [];
+  entries.forEach((entry, idx) => {
+    if (externalIdField) {
+      const externalId = entry.payload[externalIdField];
+      if (externalId === undefined || externalId === null || String(externalId).trim() === '') {
+        records[idx].error = `missing ${externalIdField}; cannot upsert`;
+        console.error(`Salesforce upsert skipped for ${entry.name}: ${records[idx].error}`);
+        return;
+      }
+    }
+    sendable.push(idx);
+  });
+
+  if (config.salesforceAllOrNone && entries.length) {
+    const reason = sendable.length < entries.length
+      ? `${entries.length - sendable.length} record(s) missing ${externalIdField}`
+      : sendable.length > SALESFORCE_COLLECTION_LIMIT
+        ? `${sendable.length} records exceed the ${SALESFORCE_COLLECTION_LIMIT}-record Collections limit`
+        : '';
+    if (reason) {
+      records.forEach((record) => {
+        record.error = record.error || `allOrNone batch not sent: ${reason}`;
+      });
+      console.error(`Salesforce collection batch not sent (allOrNone): ${reason}.`);
+      return records;
+    }
+  }
+
+  for (let start = 0; start < sendable.length; start += SALESFORCE_COLLECTION_LIMIT) {
+    const chunk = sendable.slice(start, start + SALESFORCE_COLLECTION_LIMIT);
+    const body = {
+      allOrNone: config.salesforceAllOrNone,
+      records: chunk.map(idx => Object.assign({ attributes: { type: sobject } }, entries[idx].payload))
+    };
+
+    let status = 0;
+    let text = '';
     try {
-      const resp = UrlFetchApp.fetch(url, {
-        method: 'post',
+      const resp = salesforceFetch_(url, {
+        method,
         contentType: 'application/json',
-        payload: JSON.stringify(payload),
-        headers: {
-          Authorization: `Bearer ${auth.accessToken}`
-        },
-        muteHttpExceptions: true
+        payload: JSON.stringify(body)
+      }, auth, config);
+      status = resp.getResponseCode();
+      text = resp.getContentText();
+    } catch (err) {
+      text = String(err && err.message ? err.message : err);
+    }
+
+    let results = null;
+    if (status >= 200 && status < 300) {
+      try {
+        results = JSON.parse(text || '[]');
+      } catch (_) {
+        results = null;
+      }
+    }
+
+    if (!Array.isArray(results)) {
+      chunk.forEach(idx => {
+        records[idx].status = status;
+        records[idx].error = text;
       });
-      const status = resp.getResponseCode();
-      if (status >= 200 && status < 300) {
-        successCount++;
-        let idInfo = '';
-        try {
-          const parsed = JSON.parse(resp.getContentText() || '{}');
-          if (parsed.id) idInfo = ` id=${parsed.id}`;
-        } catch (_) {
-          // ignore parse errors for success responses
-        }
-        console.info(`✅ Salesforce insert OK for ${name} (status=${status}${idInfo})`);
+      console.error(`Salesforce collection request failed for ${chunk.map(idx => entries[idx].name).join(', ')}: status=${status} body=${text}`);
+      continue;
+    }
+
+    chunk.forEach((idx, pos) => {
+      const record = records[idx];
+      const item = results[pos] || {};
+      record.status = status;
+      record.id = item.id || '';
+      if (item.success) {
+        record.outcome = (externalIdField && item.created === false) ? 'updated' : 'created';
+        console.info(`✅ Salesforce collection ${record.outcome} for ${record.name}${record.id ? ` (id=${record.id})` : ''}`);
       } else {
-        errorCount++;
-        console.error(`Salesforce POST failed for ${name}: status=${status} body=${resp.getContentText()}`);
+        record.error = (item.errors || []).map(e => `${e.statusCode || 'ERROR'}: ${e.message || ''}${e.fields && e.fields.length ? ` [${e.fields.join(', ')}]` : ''}`).join('; ') || 'unknown error';
+        console.error(`Salesforce collection write failed for ${record.name}: ${record.error}`);
       }
-    } catch (err) {
-      errorCount++;
-      console.error(`Salesforce POST threw for ${name}: ${err && err.message ? err.message : err}`);
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Sends an authenticated Salesforce request. A 401 / INVALID_SESSION_ID means the
+ * cached token expired or was revoked: drop it, log in again and retry once.
+ * The shared auth object is updated in place so later calls use the new token.
+ * POSTs (inserts) are not idempotent: timeouts and 5xx are not retried for them.
+ */
+function salesforceFetch_(url, options, auth, config) {
+  const method = (options.method || 'get').toLowerCase();
+  const label = `Salesforce ${method.toUpperCase()}`;
+  const idempotent = method !== 'post';
+  const send = () => withRetry_(label, () => UrlFetchApp.fetch(url, Object.assign({}, options, {
+    headers: Object.assign({}, options.headers, { Authorization: `Bearer ${auth.accessToken}` }),
+    muteHttpExceptions: true
+  })), config, idempotent ? classifyRetryableResponse_ : classifyRetryableInsertResponse_, idempotent ? null : () => null);
+
+  const resp = send();
+  if (!isSalesforceSessionInvalid_(resp)) return resp;
+
+  console.warn('🔑 Salesforce session rejected (401/INVALID_SESSION_ID); refreshing token and retrying once.');
+  clearCachedSalesforceAuth_();
+  const fresh = getSalesforceAuth_(config);
+  auth.accessToken = fresh.accessToken;
+  auth.instanceUrl = fresh.instanceUrl;
+  return send();
+}
+
+function isSalesforceSessionInvalid_(resp) {
+  const status = resp.getResponseCode();
+  if (status === 401) return true;
+  if (status < 400) return false;
+  return /INVALID_SESSION_ID/.test(resp.getContentText() || '');
+}
+
+function parseSalesforceRecordId_(text) {
+  try {
+    const parsed = JSON.parse(text || '{}');
+    return parsed.id || '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Token grants keyed by SALESFORCE_AUTH_FLOW. Each entry lists the config keys
+ * it needs, builds the form body for /services/oauth2/token and explains the
+ * usual causes of an error response for that grant.
+ */
+const SALESFORCE_AUTH_STRATEGIES = {
+  password: {
+    required: {
+      salesforceClientId: 'SALESFORCE_CLIENT_ID',
+      salesforceClientSecret: 'SALESFORCE_CLIENT_SECRET',
+      salesforceUsername: 'SALESFORCE_USERNAME',
+      salesforcePassword: 'SALESFORCE_PASSWORD'
+    },
+    buildPayload: (config) => ({
+      grant_type: 'password',
+      client_id: config.salesforceClientId,
+      client_secret: config.salesforceClientSecret,
+      username: config.salesforceUsername,
+      password: config.salesforcePassword
+    }),
+    hints: {
+      invalid_grant: 'check username/password/security token combination, IP restrictions, and login URL vs instance type',
+      unsupported_grant_type: 'the org blocks the username-password flow; switch SALESFORCE_AUTH_FLOW to jwt, client_credentials or refresh_token'
     }
-  });
+  },
+  jwt: {
+    required: {
+      salesforceClientId: 'SALESFORCE_CLIENT_ID',
+      salesforceUsername: 'SALESFORCE_USERNAME',
+      salesforcePrivateKey: 'SALESFORCE_PRIVATE_KEY'
+    },
+    buildPayload: (config) => ({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: buildSalesforceJwtAssertion_(config)
+    }),
+    hints: {
+      invalid_grant: 'check the user is pre-authorized for the connected app, the uploaded certificate matches SALESFORCE_PRIVATE_KEY, and SALESFORCE_LOGIN_URL (JWT audience) matches the org type',
+      invalid_client_id: 'SALESFORCE_CLIENT_ID must be the consumer key of the connected app holding the certificate'
+    }
+  },
+  client_credentials: {
+    required: {
+      salesforceClientId: 'SALESFORCE_CLIENT_ID',
+      salesforceClientSecret: 'SALESFORCE_CLIENT_SECRET'
+    },
+    buildPayload: (config) => ({
+      grant_type: 'client_credentials',
+      client_id: config.salesforceClientId,
+      client_secret: config.salesforceClientSecret
+    }),
+    hints: {
+      invalid_grant: 'enable the client credentials flow and a run-as user on the connected app; SALESFORCE_LOGIN_URL must be the My Domain URL',
+      invalid_client: 'check SALESFORCE_CLIENT_ID/SECRET belong to the same connected app'
+    }
+  },
+  refresh_token: {
+    required: {
+      salesforceClientId: 'SALESFORCE_CLIENT_ID',
+      salesforceRefreshToken: 'SALESFORCE_REFRESH_TOKEN'
+    },
+    buildPayload: (config) => {
+      const payload = {
+        grant_type: 'refresh_token',
+        client_id: config.salesforceClientId,
+        refresh_token: config.salesforceRefreshToken
+      };
+      if (config.salesforceClientSecret) payload.client_secret = config.salesforceClientSecret;
+      return payload;
+    },
+    hints: {
+      invalid_grant: 'the refresh token was revoked or expired under the connected app refresh token policy; re-authorize and update SALESFORCE_REFRESH_TOKEN'
+    }
+  }
+};
 
-  return { successCount, errorCount };
+function resolveSalesforceAuthStrategy_(config) {
+  const flow = config.salesforceAuthFlow || DEFAULTS.salesforceAuthFlow;
+  const strategy = SALESFORCE_AUTH_STRATEGIES[flow];
+  if (!strategy) {
+    throw new Error(`Unknown SALESFORCE_AUTH_FLOW "${flow}". Expected one of: ${Object.keys(SALESFORCE_AUTH_STRATEGIES).join(', ')}.`);
+  }
+  const missing = Object.keys(strategy.required)
+    .filter(key => !config[key])
+    .map(key => strategy.required[key]);
+  if (missing.length) {
+    throw new Error(`Salesforce credentials missing for auth flow "${flow}". Please set ${missing.join(', ')} in Script Properties.`);
+  }
+  return { flow, strategy };
 }
 
 function fetchSalesforceAccessToken_(config) {
+  const { flow, strategy } = resolveSalesforceAuthStrategy_(config);
   const tokenUrl = (config.salesforceLoginUrl || DEFAULTS.salesforceLoginUrl || '').replace(/\/$/, '') + '/services/oauth2/token';
-  console.info(`🔑 Salesforce login: requesting token at ${tokenUrl}`);
-  const payload = {
-    grant_type: 'password',
-    client_id: config.salesforceClientId,
-    client_secret: config.salesforceClientSecret,
-    username: config.salesforceUsername,
-    password: config.salesforcePassword
-  };
+  console.info(`🔑 Salesforce login (${flow}): requesting token at ${tokenUrl}`);
+  const payload = strategy.buildPayload(config);
 
   const urlEncodedPayload = Object.keys(payload)
     .map((k) => `${encodeURIComponent(k)}=${encodeURIComponent(payload[k])}`)
     .join('&');
 
-  const resp = UrlFetchApp.fetch(tokenUrl, {
+  const resp = withRetry_('Salesforce token', () => UrlFetchApp.fetch(tokenUrl, {
     method: 'post',
     contentType: 'application/x-www-form-urlencoded',
     payload: urlEncodedPayload,
     muteHttpExceptions: true
-  });
+  }), config, classifyRetryableResponse_);
 
   const status = resp.getResponseCode();
   const text = resp.getContentText();
   console.info(`🔑 Salesforce login response status=${status}`);
   if (status < 200 || status >= 300) {
-    const errHint = buildSalesforceGrantHint_(text);
-    throw new Error(`Salesforce token request failed: status=${status} body=${text}${errHint}`);
+    const errHint = buildSalesforceGrantHint_(text, flow);
+    throw new Error(`Salesforce token request failed (${flow}): status=${status} body=${text}${errHint}`);
   }
 
   let parsed = null;
@@ -736,18 +2601,54 @@ function fetchSalesforceAccessToken_(config) {
   const resolvedInstance = parsed.instance_url || config.salesforceInstanceUrl;
   console.info(`🔑 Salesforce login success (instance=${resolvedInstance || 'unknown'})`);
 
-  return {
-    accessToken: parsed.access_token,
-    instanceUrl: resolvedInstance
-  };
+  return {
+    accessToken: parsed.access_token,
+    instanceUrl: resolvedInstance
+  };
+}
+
+/**
+ * Returns the cached access token when it was issued for the same flow, client
+ * and login URL within SALESFORCE_TOKEN_TTL_MS; otherwise logs in and caches the result.
+ */
+function getSalesforceAuth_(config) {
+  const fingerprint = [config.salesforceAuthFlow, config.salesforceClientId, config.salesforceUsername, config.salesforceLoginUrl].join('|');
+  const raw = PROPS.getProperty(STATE_KEYS.salesforceAuthCache);
+  if (raw) {
+    try {
+      const cached = JSON.parse(raw);
+      const age = Date.now() - Number(cached.issuedAt || 0);
+      if (cached.fingerprint === fingerprint && cached.accessToken && age < config.salesforceTokenTtlMs) {
+        console.info(`🔑 Reusing cached Salesforce token (age=${Math.round(age / 1000)}s, instance=${cached.instanceUrl || 'unknown'})`);
+        return { accessToken: cached.accessToken, instanceUrl: cached.instanceUrl };
+      }
+    } catch (err) {
+      console.warn(`Salesforce token cache unreadable; logging in again: ${err && err.message ? err.message : err}`);
+    }
+  }
+
+  const auth = fetchSalesforceAccessToken_(config);
+  PROPS.setProperty(STATE_KEYS.salesforceAuthCache, JSON.stringify({
+    fingerprint,
+    accessToken: auth.accessToken,
+    instanceUrl: auth.instanceUrl || '',
+    issuedAt: Date.now()
+  }));
+  return auth;
+}
+
+function clearCachedSalesforceAuth_() {
+  PROPS.deleteProperty(STATE_KEYS.salesforceAuthCache);
 }
 
-function buildSalesforceGrantHint_(rawBody) {
+function buildSalesforceGrantHint_(rawBody, flow) {
   if (!rawBody) return '';
+  const strategy = SALESFORCE_AUTH_STRATEGIES[flow || DEFAULTS.salesforceAuthFlow];
   try {
     const parsed = JSON.parse(rawBody);
-    if (parsed.error === 'invalid_grant') {
-      return ' (invalid_grant: check username/password/security token combination, IP restrictions, and login URL vs instance type)';
+    const hint = strategy && parsed.error ? strategy.hints[parsed.error] : '';
+    if (hint) {
+      return ` (${parsed.error}: ${hint})`;
     }
   } catch (_) {
     // ignore parse failure
@@ -755,133 +2656,484 @@ function buildSalesforceGrantHint_(rawBody) {
   return '';
 }
 
-function mapTxtToSalesforcePayload_(filename, rawText, sobjectName, timezone) {
-  const parsed = parseTxtRequest_(rawText, timezone);
-  const comments = [
-    parsed.product ? `商品: ${parsed.product}` : '',
-    parsed.bodyType ? `ボディタイプ: ${parsed.bodyType}` : '',
-    parsed.carCondition ? `クルマの状態: ${parsed.carCondition}` : ''
-  ].filter(Boolean).join(' / ');
+/**
+ * The JWT "aud" must name the login server, not the My Domain host the token is
+ * requested from: test.salesforce.com for sandboxes, login.salesforce.com otherwise.
+ */
+function resolveSalesforceJwtAudience_(config) {
+  if (config.salesforceJwtAudience) return config.salesforceJwtAudience.replace(/\/$/, '');
+  const loginUrl = (config.salesforceLoginUrl || DEFAULTS.salesforceLoginUrl).toLowerCase();
+  return /\/\/(?:test\.salesforce\.com|[^/]*\.sandbox\.my\.salesforce\.com)(?:[/:]|$)/.test(loginUrl)
+    ? 'https://test.salesforce.com'
+    : 'https://login.salesforce.com';
+}
 
-  return {
-    attributes: { type: sobjectName || 'Mail2X__c' },
-    RequestDate__c: parsed.requestDateIso || parsed.requestDate,
-    AssessmentNumber__c: parsed.assessmentNumber,
-    comment__c: comments || undefined,
-    maker__c: parsed.brand,
-    car_model__c: parsed.carModel,
-    model_year__c: parsed.modelYear,
-    Grade__c: parsed.grade,
-    body_color__c: parsed.bodyColor,
-    DoorNumber__c: parsed.doorCount,
-    Handle__c: parsed.handle,
-    Fuel__c: parsed.fuel,
-    Transmission__c: parsed.transmission,
-    DriveType__c: parsed.driveType,
-    Displacement__c: parsed.displacement,
-    mileage__c: parsed.mileage,
-    accident_history__c: parsed.accidentHistory,
-    desired_time_to_sell__c: parsed.desiredSellTiming,
-    Model__c: parsed.modelCode,
-    EquipmentInfo__c: parsed.equipmentInfo,
-    appeal_point__c: parsed.otherOptions,
-    name__c: parsed.customerName,
-    name_kana__c: parsed.customerKana,
-    PostalCode__c: parsed.postalCode,
-    State__c: parsed.state,
-    City__c: parsed.city,
-    Address__c: parsed.addressLine,
-    mail__c: parsed.email,
-    Phone__c: parsed.phone,
-    Phone2__c: parsed.phone2,
-    preferred_contact_time__c: parsed.contactTime
+/**
+ * Builds the signed assertion for the OAuth 2.0 JWT bearer flow; the audience comes
+ * from resolveSalesforceJwtAudience_.
+ */
+function buildSalesforceJwtAssertion_(config) {
+  const audience = resolveSalesforceJwtAudience_(config);
+  const header = { alg: 'RS256', typ: 'JWT' };
+  const claims = {
+    iss: config.salesforceClientId,
+    sub: config.salesforceUsername,
+    aud: audience,
+    exp: Math.floor(Date.now() / 1000) + 180
   };
+  const encode = (bytesOrString) => Utilities.base64EncodeWebSafe(bytesOrString).replace(/=+$/, '');
+  const signingInput = `${encode(JSON.stringify(header))}.${encode(JSON.stringify(claims))}`;
+  // A PEM pasted into the Script Properties editor often carries literal "\n" sequences.
+  const privateKey = config.salesforcePrivateKey.replace(/\\n/g, '\n');
+  const signature = Utilities.computeRsaSha256Signature(signingInput, privateKey);
+  return `${signingInput}.${encode(signature)}`;
+}
+
+/**
+ * Default parsed-field → Mail2X__c mapping. Each value is one of:
+ *   "path"                         copy a parsed field (dotted paths allowed)
+ *   ["pathA", "pathB"]             first non-empty parsed field
+ *   { const: value }               constant
+ *   { template: "{a} {b}" }        placeholders filled from parsed fields; omitted when all are empty
+ *   { join: " / ", parts: [...] }  templates joined by separator; parts with an empty placeholder are dropped
+ *   null / false                   do not send the field
+ * SALESFORCE_FIELD_MAPPING (JSON) is merged over this unless SALESFORCE_FIELD_MAPPING_MERGE is "false".
+ * Typed values live under "normalized.*": mileageMinKm, mileageMaxKm, displacementCc,
+ * doorCount, modelYear, inspectionDeadlineDate (yyyy-MM-dd), phone/phone2 (national),
+ * phoneE164/phone2E164, phoneType/phone2Type and email. Invalid contacts normalize to '',
+ * so the default mapping falls back to the raw value and notes the problem in comment__c
+ * ("validationSummary" lists every validation issue, '' when there are none).
+ * comment__c always ends with the parser template that read the file ("書式: assessment-request").
+ * "sourcePosition.file" / ".index" / ".count" locate a request inside a multi-request TXT.
+ * "sourcePosition.charset" / ".charsetConfidence" record how the TXT was decoded.
+ * Fields beyond the original Mail2X__c layout stay opt-in, since an org without the
+ * custom field rejects every write with INVALID_FIELD. Add them through
+ * SALESFORCE_FIELD_MAPPING once the field exists, e.g.
+ *   { "ParserTemplate__c": "templateId" }                           parser template (PARSER_TEMPLATES id) as its own field
+ *   { "InspectionDeadline__c": "normalized.inspectionDeadlineDate" } 車検 expiry as a Date field (the raw text goes to comment__c)
+ */
+const DEFAULT_FIELD_MAPPING = {
+  RequestDate__c: ['requestDateIso', 'requestDate'],
+  AssessmentNumber__c: 'assessmentNumber',
+  comment__c: { join: ' / ', parts: ['商品: {product}', 'ボディタイプ: {bodyType}', 'クルマの状態: {carCondition}', '車検時期: {inspectionDeadline}', '要確認: {validationSummary}', '書式: {templateId}'] },
+  maker__c: 'brand',
+  car_model__c: 'carModel',
+  model_year__c: 'modelYear',
+  Grade__c: 'grade',
+  body_color__c: 'bodyColor',
+  DoorNumber__c: 'doorCount',
+  Handle__c: 'handle',
+  Fuel__c: 'fuel',
+  Transmission__c: 'transmission',
+  DriveType__c: 'driveType',
+  Displacement__c: 'displacement',
+  mileage__c: 'mileage',
+  accident_history__c: 'accidentHistory',
+  desired_time_to_sell__c: 'desiredSellTiming',
+  Model__c: 'modelCode',
+  EquipmentInfo__c: 'equipmentInfo',
+  appeal_point__c: 'otherOptions',
+  name__c: 'customerName',
+  name_kana__c: 'customerKana',
+  PostalCode__c: 'postalCode',
+  State__c: 'state',
+  City__c: 'city',
+  Address__c: 'addressLine',
+  mail__c: ['normalized.email', 'email'],
+  Phone__c: ['normalized.phone', 'phone'],
+  Phone2__c: ['normalized.phone2', 'phone2'],
+  preferred_contact_time__c: 'contactTime'
+};
+
+function mapTxtToSalesforcePayload_(filename, rawText, sobjectName, timezone, fieldMapping) {
+  const parsed = parseTxtRequest_(rawText, timezone);
+  return applyFieldMapping_(parsed, fieldMapping || DEFAULT_FIELD_MAPPING, sobjectName);
+}
+
+function applyFieldMapping_(parsed, mapping, sobjectName) {
+  const payload = { attributes: { type: sobjectName || 'Mail2X__c' } };
+  Object.keys(mapping).forEach((field) => {
+    const value = resolveMappedValue_(parsed, mapping[field], field);
+    if (value !== undefined) payload[field] = value;
+  });
+  return payload;
+}
+
+function resolveMappedValue_(parsed, spec, field) {
+  if (spec === null || spec === false) return undefined;
+  if (typeof spec === 'string') return readParsedPath_(parsed, spec);
+  if (Array.isArray(spec)) {
+    const values = spec.map(path => readParsedPath_(parsed, path));
+    const hit = values.find(v => v !== undefined && v !== null && v !== '');
+    return hit !== undefined ? hit : values[values.length - 1];
+  }
+  if (typeof spec === 'object') {
+    if (Object.prototype.hasOwnProperty.call(spec, 'const')) return spec.const;
+    if (typeof spec.template === 'string') {
+      const rendered = renderMappingTemplate_(parsed, spec.template);
+      return rendered.anyFilled ? rendered.text : undefined;
+    }
+    if (Array.isArray(spec.parts)) {
+      const joined = spec.parts
+        .map(part => renderMappingTemplate_(parsed, part))
+        .filter(r => r.allFilled)
+        .map(r => r.text)
+        .join(typeof spec.join === 'string' ? spec.join : ' / ');
+      return joined || undefined;
+    }
+  }
+  throw new Error(`Invalid field mapping for ${field}: ${JSON.stringify(spec)}`);
+}
+
+function renderMappingTemplate_(parsed, template) {
+  let anyFilled = false;
+  let allFilled = true;
+  const text = String(template).replace(/\{([^{}]+)\}/g, (_, path) => {
+    const value = readParsedPath_(parsed, path.trim());
+    const str = value === undefined || value === null ? '' : String(value);
+    if (str) anyFilled = true; else allFilled = false;
+    return str;
+  });
+  return { text: text.trim(), anyFilled, allFilled };
+}
+
+function readParsedPath_(parsed, path) {
+  return String(path || '').split('.').reduce((acc, key) => (acc === undefined || acc === null ? undefined : acc[key]), parsed);
+}
+
+function loadFieldMapping_() {
+  const raw = (PROPS.getProperty('SALESFORCE_FIELD_MAPPING') || '').trim();
+  if (!raw) return DEFAULT_FIELD_MAPPING;
+  let custom;
+  try {
+    custom = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`SALESFORCE_FIELD_MAPPING is not valid JSON: ${err && err.message ? err.message : err}`);
+  }
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    throw new Error('SALESFORCE_FIELD_MAPPING must be a JSON object of { "SalesforceField__c": spec }.');
+  }
+  const merge = parseBooleanProperty_(PROPS.getProperty('SALESFORCE_FIELD_MAPPING_MERGE'), true);
+  const mapping = merge ? Object.assign({}, DEFAULT_FIELD_MAPPING, custom) : custom;
+  Object.keys(mapping).forEach(field => resolveMappedValue_({}, mapping[field], field)); // validate early
+  return mapping;
+}
+
+/** ────────────────────────────────────────────────
+ *  Lead TXT parsing (template registry)
+ * ────────────────────────────────────────────────*/
+
+/**
+ * Label dictionary shared by the known layouts: parsed field → label spellings.
+ * bodyColorAndDoor / modelAndEquipment / addressFull are raw composites that the
+ * common post-processing in parseTxtRequest_ splits up.
+ */
+const LEAD_LABELS = {
+  product: labelAliases_('商品'),
+  brand: labelAliases_('ブランド名', ['メーカー', 'メーカー名']),
+  carModel: labelAliases_('車種名', ['車名']),
+  modelYear: labelAliases_('年式'),
+  grade: labelAliases_('グレード'),
+  bodyType: labelAliases_('ボディタイプ', ['ボディタイプ・カテゴリ', 'ボディタイプカテゴリ']),
+  bodyColorAndDoor: ['車体色・ドア数', '車体色/ドア数', '車体色･ドア数'],
+  bodyColor: labelAliases_('色', ['車体色', 'ボディカラー', 'カラー']),
+  doorCount: labelAliases_('ドア数'),
+  handle: labelAliases_('ハンドル'),
+  fuel: labelAliases_('燃料'),
+  transmission: labelAliases_('ミッション', ['トランスミッション']),
+  driveType: labelAliases_('駆動方式', ['駆動']),
+  displacement: labelAliases_('排気量'),
+  mileage: labelAliases_('走行距離'),
+  inspectionDeadline: labelAliases_('車検時期', ['車検満了日']),
+  accidentHistory: labelAliases_('事故歴'),
+  carCondition: labelAliases_('クルマの状態', ['車の状態']),
+  desiredSellTiming: labelAliases_('売却希望時期', ['売却希望時期目安', '売却希望時期・目安']),
+  modelAndEquipment: ['型式・装備', '型式/装備', '型式･装備'],
+  modelCode: labelAliases_('型式'),
+  equipmentInfo: labelAliases_('装備'),
+  otherOptions: labelAliases_('その他オプション等', ['その他オプション', 'その他装備']),
+  customerName: labelAliases_('ご依頼者名', ['氏名']),
+  customerKana: labelAliases_('ご依頼者カナ名'),
+  postalCode: labelAliases_('郵便番号'),
+  addressFull: labelAliases_('ご住所', ['住所']),
+  email: labelAliases_('メールアドレス'),
+  phone: labelAliases_('電話番号'),
+  phone2: labelAliases_('その他の連絡先', ['サブ連絡先']),
+  contactTime: labelAliases_('連絡可能時間帯', ['連絡希望時間帯'])
+};
+
+const VEHICLE_SECTIONS = ['依頼車両情報', '車両情報'];
+const CUSTOMER_SECTIONS = ['依頼者', '依頼者情報', 'お客様情報'];
+
+/**
+ * Where each field is expected in layouts that group labels under 【…】 headings.
+ * When the text has none of the listed sections the whole text is searched.
+ */
+const LEAD_LABEL_SECTIONS = {
+  brand: VEHICLE_SECTIONS,
+  carModel: VEHICLE_SECTIONS,
+  modelYear: VEHICLE_SECTIONS,
+  grade: VEHICLE_SECTIONS,
+  bodyType: VEHICLE_SECTIONS,
+  bodyColorAndDoor: VEHICLE_SECTIONS,
+  bodyColor: VEHICLE_SECTIONS,
+  doorCount: VEHICLE_SECTIONS,
+  handle: VEHICLE_SECTIONS,
+  fuel: VEHICLE_SECTIONS,
+  transmission: VEHICLE_SECTIONS,
+  driveType: VEHICLE_SECTIONS,
+  displacement: VEHICLE_SECTIONS,
+  mileage: VEHICLE_SECTIONS,
+  inspectionDeadline: VEHICLE_SECTIONS,
+  accidentHistory: VEHICLE_SECTIONS,
+  carCondition: VEHICLE_SECTIONS,
+  desiredSellTiming: VEHICLE_SECTIONS,
+  modelAndEquipment: VEHICLE_SECTIONS,
+  modelCode: VEHICLE_SECTIONS,
+  equipmentInfo: VEHICLE_SECTIONS,
+  otherOptions: VEHICLE_SECTIONS,
+  customerName: CUSTOMER_SECTIONS,
+  customerKana: CUSTOMER_SECTIONS,
+  postalCode: CUSTOMER_SECTIONS,
+  addressFull: CUSTOMER_SECTIONS,
+  email: CUSTOMER_SECTIONS,
+  phone: CUSTOMER_SECTIONS,
+  phone2: CUSTOMER_SECTIONS,
+  contactTime: CUSTOMER_SECTIONS
+};
+
+/**
+ * Parser templates, tried in order; the first whose `detect` matches wins.
+ * Each has a label dictionary, optional `sections` (field → expected section names)
+ * and an optional `postProcess(fields, text)` that fills template-specific fields
+ * (request header, provider quirks).
+ * The last entry is a catch-all so every file still gets a best-effort parse.
+ */
+const PARSER_TEMPLATES = [
+  {
+    id: 'assessment-request',
+    detect: (text) => /査定依頼日時・査定依頼番号[】\]]/.test(text),
+    labels: LEAD_LABELS,
+    sections: LEAD_LABEL_SECTIONS,
+    postProcess: (fields, text) => {
+      const reqMatch = text.match(/査定依頼日時・査定依頼番号[】\]][\s\r\n　]*([0-9]{4}年\d{1,2}月\d{1,2}日[^\n\r（(]*)[（(]([0-9]+)[)）]/);
+      fields.requestDate = reqMatch ? reqMatch[1].trim() : '';
+      fields.assessmentNumber = reqMatch ? reqMatch[2].trim() : '';
+    }
+  },
+  {
+    id: 'generic-labels',
+    detect: () => true,
+    labels: Object.assign({}, LEAD_LABELS, {
+      requestDate: labelAliases_('査定依頼日時', ['依頼日時', '受付日時', '申込日時']),
+      assessmentNumber: labelAliases_('査定依頼番号', ['依頼番号', '受付番号', '申込番号', '問い合わせ番号'])
+    })
+  }
+];
+
+function detectParserTemplate_(text) {
+  return PARSER_TEMPLATES.find(t => t.detect(text)) || PARSER_TEMPLATES[PARSER_TEMPLATES.length - 1];
 }
 
-function parseTxtRequest_(rawText, timezone) {
+/**
+ * options.requiredFields: policy from parseRequiredFieldsPolicy_ (defaults to
+ * DEFAULTS.requiredFields). The result carries `diagnostics` describing what the
+ * parse could not make sense of; missingRequired drives quarantine.
+ * options.labelValues: label → value for a CSV row (see csvRowToLeadText_); fields
+ * are looked up there instead of in the text, so multi-line values stay whole.
+ */
+function parseTxtRequest_(rawText, timezone, options) {
   const normalized = (rawText || '').replace(/\r/g, '');
-  const valueFor = (labels) => extractLabelValue_(normalized, labels);
-  const labelSet = (label, extras) => labelAliases_(label, extras);
+  const template = detectParserTemplate_(normalized);
+
+  const labelValues = options && options.labelValues;
+  const sections = labelValues ? [] : splitTextSections_(normalized);
+  const fields = {};
+  Object.keys(template.labels).forEach((field) => {
+    if (labelValues) {
+      fields[field] = lookupLabelValue_(labelValues, template.labels[field]);
+      return;
+    }
+    const scoped = sectionTextFor_(sections, template.sections && template.sections[field]);
+    fields[field] = extractLabelValue_(scoped !== null ? scoped : normalized, template.labels[field]);
+  });
+  if (template.postProcess) template.postProcess(fields, normalized);
 
-  const reqMatch = normalized.match(/査定依頼日時・査定依頼番号[】\]][\s\r\n　]*([0-9]{4}年\d{1,2}月\d{1,2}日[^\n\r（(]*)[（(]([0-9]+)[)）]/);
-  const requestDate = reqMatch ? reqMatch[1].trim() : '';
-  const assessmentNumber = reqMatch ? reqMatch[2].trim() : '';
+  const requestDate = fields.requestDate || '';
+  const assessmentNumber = fields.assessmentNumber || '';
   const requestDateIso = requestDate ? parseJapaneseDateTimeToIsoUtc_(requestDate, timezone) : '';
-  const product = valueFor(labelSet('商品'));
-
-  const brand = valueFor(labelSet('ブランド名', ['メーカー', 'メーカー名']));
-  const carModel = valueFor(labelSet('車種名', ['車名']));
-  const modelYear = valueFor(labelSet('年式'));
-  const grade = valueFor(labelSet('グレード'));
-  const bodyType = valueFor(labelSet('ボディタイプ', ['ボディタイプ・カテゴリ', 'ボディタイプカテゴリ']));
-  const compositeBodyAndDoorRaw = valueFor(['車体色・ドア数', '車体色/ドア数', '車体色･ドア数']);
-  const standaloneBodyColor = valueFor(labelSet('色', ['車体色', 'ボディカラー', 'カラー']));
-  const standaloneDoorCount = valueFor(labelSet('ドア数'));
-  const compositeBodyAndDoor = splitBodyColorAndDoor_(compositeBodyAndDoorRaw);
-  const bodyColor = standaloneBodyColor || compositeBodyAndDoor.bodyColor;
-  const doorCount = standaloneDoorCount || compositeBodyAndDoor.doorCount;
-  const handle = valueFor(labelSet('ハンドル'));
-  const fuel = valueFor(labelSet('燃料'));
-  const transmission = valueFor(labelSet('ミッション', ['トランスミッション']));
-  const driveType = valueFor(labelSet('駆動方式', ['駆動']));
-  const displacement = valueFor(labelSet('排気量'));
-  const mileage = valueFor(labelSet('走行距離'));
-  const inspectionDeadline = valueFor(labelSet('車検時期', ['車検満了日']));
-  const accidentHistory = valueFor(labelSet('事故歴'));
-  const carCondition = valueFor(labelSet('クルマの状態', ['車の状態']));
-  const desiredSellTiming = valueFor(labelSet('売却希望時期', ['売却希望時期目安', '売却希望時期・目安']));
-  const compositeModelEquipRaw = valueFor(['型式・装備', '型式/装備', '型式･装備']);
-  const compositeModelEquip = splitModelAndEquipment_(compositeModelEquipRaw);
-  const modelCode = valueFor(labelSet('型式')) || compositeModelEquip.modelCode;
-  const equipmentInfo = valueFor(labelSet('装備')) || compositeModelEquip.equipmentInfo;
-  const otherOptions = valueFor(labelSet('その他オプション等', ['その他オプション', 'その他装備']));
-
-  const customerName = valueFor(labelSet('ご依頼者名', ['氏名'])).replace(/様$/, '').trim();
-  const customerKana = valueFor(labelSet('ご依頼者カナ名')).replace(/様$/, '').trim();
-  const postalCode = valueFor(labelSet('郵便番号'));
-  const addressFull = valueFor(labelSet('ご住所', ['住所']));
+  const compositeBodyAndDoor = splitBodyColorAndDoor_(fields.bodyColorAndDoor);
+  const bodyColor = fields.bodyColor || compositeBodyAndDoor.bodyColor;
+  const doorCount = fields.doorCount || compositeBodyAndDoor.doorCount;
+  const compositeModelEquip = splitModelAndEquipment_(fields.modelAndEquipment);
+  const modelCode = fields.modelCode || compositeModelEquip.modelCode;
+  const equipmentInfo = fields.equipmentInfo || compositeModelEquip.equipmentInfo;
+  const customerName = (fields.customerName || '').replace(/様$/, '').trim();
+  const customerKana = (fields.customerKana || '').replace(/様$/, '').trim();
+  const addressFull = fields.addressFull || '';
   const addressParts = splitJapaneseAddress_(addressFull);
-  const email = valueFor(labelSet('メールアドレス'));
-  const phone = valueFor(labelSet('電話番号'));
-  const phone2 = valueFor(labelSet('その他の連絡先', ['サブ連絡先']));
-  const contactTime = valueFor(labelSet('連絡可能時間帯', ['連絡希望時間帯']));
+  const { mileage, displacement, modelYear, inspectionDeadline, phone, phone2, email } = fields;
 
-  return {
+  const normalizedNumbers = normalizeVehicleNumbers_({ mileage, displacement, doorCount });
+  normalizedNumbers.modelYear = parseModelYear_(modelYear);
+  normalizedNumbers.inspectionDeadlineDate = parseInspectionDeadline_(inspectionDeadline);
+  const contact = normalizeContactFields_({ phone, phone2, email });
+  const addressIssues = checkAddressSplit_(addressFull, addressParts);
+  Object.assign(normalizedNumbers, contact.values);
+
+  const parsed = {
+    templateId: template.id,
     requestDate,
     requestDateIso,
     assessmentNumber,
-    product,
-    brand,
-    carModel,
+    product: fields.product,
+    brand: fields.brand,
+    carModel: fields.carModel,
     modelYear,
-    grade,
-    bodyType,
+    grade: fields.grade,
+    bodyType: fields.bodyType,
     bodyColor,
     doorCount,
-    handle,
-    fuel,
-    transmission,
-    driveType,
+    handle: fields.handle,
+    fuel: fields.fuel,
+    transmission: fields.transmission,
+    driveType: fields.driveType,
     displacement,
     mileage,
     inspectionDeadline,
-    accidentHistory,
-    carCondition,
-    desiredSellTiming,
+    accidentHistory: fields.accidentHistory,
+    carCondition: fields.carCondition,
+    desiredSellTiming: fields.desiredSellTiming,
     modelCode,
     equipmentInfo,
-    otherOptions,
+    otherOptions: fields.otherOptions,
     customerName,
     customerKana,
-    postalCode,
+    postalCode: fields.postalCode,
     state: addressParts.state,
     city: addressParts.city,
     addressLine: addressParts.address,
+    addressMatch: { prefecture: addressParts.prefectureRecognized, city: addressParts.cityMatch },
+    addressIssues,
     email,
     phone,
     phone2,
-    contactTime
+    contactTime: fields.contactTime,
+    normalized: normalizedNumbers,
+    validation: contact.issues,
+    validationSummary: summarizeValidationIssues_(contact.issues),
+    sections: labelValues
+      ? [{ name: '', fields: labelValues }]
+      : sections.map(section => ({ name: section.name, fields: extractSectionFields_(section.text) }))
   };
+  const requiredFields = (options && options.requiredFields) || parseRequiredFieldsPolicy_(DEFAULTS.requiredFields);
+  parsed.diagnostics = buildParseDiagnostics_(parsed, template, requiredFields);
+  return parsed;
+}
+
+/** ────────────────────────────────────────────────
+ *  Parse diagnostics & required-field policy
+ * ────────────────────────────────────────────────*/
+
+// Raw field → normalized value that should come out of it when the raw value is usable.
+const NORMALIZATION_CHECKS = {
+  requestDate: 'requestDateIso',
+  mileage: 'normalized.mileageMinKm',
+  displacement: 'normalized.displacementCc',
+  doorCount: 'normalized.doorCount',
+  modelYear: 'normalized.modelYear',
+  inspectionDeadline: 'normalized.inspectionDeadlineDate'
+};
+
+/**
+ * "assessmentNumber,customerName,phone|email" →
+ * [['assessmentNumber'], ['customerName'], ['phone', 'email']].
+ * Each group is satisfied when any of its paths is non-empty. "none" → [] (no quarantine).
+ */
+function parseRequiredFieldsPolicy_(raw) {
+  const value = String(raw || '').trim();
+  if (!value || value.toLowerCase() === 'none') return [];
+  return value.split(',')
+    .map(group => group.split('|').map(path => path.trim()).filter(Boolean))
+    .filter(group => group.length);
+}
+
+function buildParseDiagnostics_(parsed, template, requiredFields) {
+  const known = {};
+  Object.keys(template.labels).forEach((field) => {
+    const labels = template.labels[field];
+    (Array.isArray(labels) ? labels : [labels]).forEach(label => { known[String(label).toLowerCase()] = true; });
+  });
+  const unrecognizedLabels = [];
+  parsed.sections.forEach((section) => {
+    Object.keys(section.fields).forEach((label) => {
+      // "12:34" in a timestamp line or "https://…" are not labels.
+      if (/\d$/.test(label) || /^https?$/i.test(label)) return;
+      if (known[label.toLowerCase()] || unrecognizedLabels.indexOf(label) !== -1) return;
+      unrecognizedLabels.push(label);
+    });
+  });
+
+  const isEmpty = (v) => v === undefined || v === null || v === '';
+  const missingRequired = requiredFields
+    .filter(group => group.every(path => isEmpty(readParsedPath_(parsed, path))))
+    .map(group => group.join('|'));
+
+  const normalizationFailures = Object.keys(NORMALIZATION_CHECKS)
+    .filter(field => !isEmpty(parsed[field]) && isEmpty(readParsedPath_(parsed, NORMALIZATION_CHECKS[field])))
+    .map(field => ({ field, value: parsed[field], message: `could not normalize to ${NORMALIZATION_CHECKS[field]}` }))
+    .concat(parsed.validation, parsed.addressIssues);
+
+  return { unrecognizedLabels, missingRequired, normalizationFailures };
+}
+
+// One line for the record itself, e.g. "phone=12345 (not a Japanese phone number)".
+function summarizeValidationIssues_(issues) {
+  return issues.map(issue => `${issue.field}=${issue.value} (${issue.message})`).join('; ');
+}
+
+function logParseDiagnostics_(name, diagnostics) {
+  if (diagnostics.unrecognizedLabels.length) {
+    console.warn(`🔎 ${name}: unrecognized labels ${diagnostics.unrecognizedLabels.join(', ')}`);
+  }
+  diagnostics.normalizationFailures
+    .filter(f => NORMALIZATION_CHECKS[f.field])
+    .forEach(f => console.warn(`🔎 ${name}: ${f.field}="${f.value}" ${f.message}`));
+}
+
+/**
+ * Splits text on 【name】 / [name] heading lines. Text before the first heading is
+ * a section named ''. Anything after the closing bracket stays in the section body.
+ */
+function splitTextSections_(text) {
+  const sections = [{ name: '', lines: [] }];
+  (text || '').split('\n').forEach((line) => {
+    const m = line.match(/^[\s　]*[【\[]([^】\]\n]+)[】\]][\s　]*(.*)$/);
+    if (m) {
+      sections.push({ name: m[1].replace(/[\s　]+/g, ''), lines: m[2] ? [m[2]] : [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+  return sections
+    .map(section => ({ name: section.name, text: section.lines.join('\n') }))
+    .filter(section => section.name || section.text.trim());
+}
+
+// null when the text has none of the named sections, so the caller searches everything.
+function sectionTextFor_(sections, names) {
+  if (!names || !names.length) return null;
+  const matching = sections.filter(section => names.indexOf(section.name) !== -1);
+  return matching.length ? matching.map(section => section.text).join('\n') : null;
+}
+
+function extractSectionFields_(sectionText) {
+  const fields = {};
+  (sectionText || '').split('\n').forEach((line) => {
+    const m = line.match(/^[\u30fb・\u2022\s　]*([^:：\n]+?)[ \t　]*[:：][ \t　]*(.*)$/);
+    if (m && !Object.prototype.hasOwnProperty.call(fields, m[1])) fields[m[1]] = cleanupLabelValue_(m[2]);
+  });
+  return fields;
 }
 
 function extractLabelValue_(text, labels) {
@@ -899,6 +3151,18 @@ function extractLabelValue_(text, labels) {
   return '';
 }
 
+// Same label order as extractLabelValue_, for values that arrive already split (CSV rows).
+function lookupLabelValue_(labelValues, labels) {
+  const byLower = {};
+  Object.keys(labelValues).forEach((label) => {
+    if (!Object.prototype.hasOwnProperty.call(byLower, label.toLowerCase())) byLower[label.toLowerCase()] = labelValues[label];
+  });
+  for (const label of (Array.isArray(labels) ? labels : [labels])) {
+    if (label && Object.prototype.hasOwnProperty.call(byLower, label.toLowerCase())) return cleanupLabelValue_(byLower[label.toLowerCase()]);
+  }
+  return '';
+}
+
 function cleanupLabelValue_(value) {
   return (value || '').replace(/・?ラベル$/i, '').trim();
 }
@@ -939,6 +3203,240 @@ function splitModelAndEquipment_(raw) {
   return { modelCode: parts[0] || cleaned, equipmentInfo: '' };
 }
 
+/**
+ * Typed values for the numeric vehicle fields. The raw strings stay on the parse
+ * result; these land under `normalized` (e.g. "normalized.mileageMinKm" in a field mapping).
+ * Anything that cannot be read is null.
+ */
+function normalizeVehicleNumbers_(raw) {
+  const mileage = parseMileageRange_(raw.mileage);
+  return {
+    mileageMinKm: mileage.min,
+    mileageMaxKm: mileage.max,
+    displacementCc: parseDisplacementCc_(raw.displacement),
+    doorCount: parseDoorCount_(raw.doorCount)
+  };
+}
+
+// "55,001〜60,000km", "1万km以下", "10万km〜", "20000km"
+function parseMileageRange_(raw) {
+  const value = toHalfWidth_(raw).replace(/\s+/g, '');
+  if (!value) return { min: null, max: null };
+
+  const parts = value.split(/[〜~\-]/);
+  if (parts.length === 2) {
+    return { min: parseKmAmount_(parts[0]), max: parseKmAmount_(parts[1]) };
+  }
+  const amount = parseKmAmount_(value);
+  if (amount === null) return { min: null, max: null };
+  if (/以下|未満|まで/.test(value)) return { min: null, max: amount };
+  if (/以上|超/.test(value)) return { min: amount, max: null };
+  return { min: amount, max: amount };
+}
+
+function parseKmAmount_(segment) {
+  const m = (segment || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)(万)?/);
+  if (!m) return null;
+  return Math.round(Number(m[1]) * (m[2] ? 10000 : 1));
+}
+
+// "3600 cc", "1800cc", "1.8L", "660ＣＣ"
+function parseDisplacementCc_(raw) {
+  const value = toHalfWidth_(raw).replace(/[\s,]/g, '');
+  const m = value.match(/(\d+(?:\.\d+)?)(cc|L|ℓ|リットル)?/i);
+  if (!m) return null;
+  const amount = Number(m[1]);
+  const liters = m[2] ? /^(l|ℓ|リットル)$/i.test(m[2]) : amount < 10;
+  return Math.round(liters ? amount * 1000 : amount);
+}
+
+function parseDoorCount_(raw) {
+  const digits = extractDoorDigits_(toHalfWidth_(raw));
+  return digits ? Number(digits) : null;
+}
+
+/** ────────────────────────────────────────────────
+ *  Phone & email normalization
+ * ────────────────────────────────────────────────*/
+
+const PHONE_SEPARATOR_PATTERN = /[\s\-‐‑‒–—―−ーｰ－()（）]/g;
+const EMAIL_PATTERN = /^[A-Za-z0-9.!#$%&'*+\/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)*\.[A-Za-z]{2,}$/;
+const EMAIL_DOMAIN_TYPOS = {
+  'gmail.con': 'gmail.com',
+  'gmail.co': 'gmail.com',
+  'gmai.com': 'gmail.com',
+  'gmial.com': 'gmail.com',
+  'icloud.con': 'icloud.com',
+  'icloud.co': 'icloud.com',
+  'yahoo.co.jo': 'yahoo.co.jp',
+  'yahoo.cojp': 'yahoo.co.jp',
+  'docomo.ne.jo': 'docomo.ne.jp',
+  'ezweb.ne.jo': 'ezweb.ne.jp',
+  'softbank.ne.jo': 'softbank.ne.jp'
+};
+
+/**
+ * Normalizes phone/phone2/email and collects issues for values that were present
+ * but could not be validated. Invalid values come back as '' so they are not sent.
+ */
+function normalizeContactFields_(raw) {
+  const issues = [];
+  const values = {};
+
+  ['phone', 'phone2'].forEach((field) => {
+    const result = normalizeJapanesePhone_(raw[field]);
+    values[field] = result.valid ? result.national : '';
+    values[`${field}E164`] = result.valid ? result.e164 : '';
+    values[`${field}Type`] = result.type;
+    if (raw[field] && !result.valid) issues.push({ field, value: raw[field], message: result.reason });
+  });
+
+  const email = normalizeEmail_(raw.email);
+  values.email = email.valid ? email.value : '';
+  if (raw.email && !email.valid) issues.push({ field: 'email', value: raw.email, message: email.reason });
+  if (email.valid && email.suggestion) {
+    issues.push({ field: 'email', value: raw.email, message: `domain looks like a typo of ${email.suggestion}` });
+  }
+
+  return { values, issues };
+}
+
+/**
+ * "national" keeps the caller's grouping when it has one. Digits-only input is grouped
+ * for mobile/IP (090-1234-5678), 0120 toll-free and the 2-digit area codes 03 and 06
+ * (03-1234-5678). Other landline area codes run 3 to 5 digits and share prefixes
+ * (022 Sendai, 0225 Ishinomaki), so those come back as plain digits (0521234567).
+ */
+function normalizeJapanesePhone_(raw) {
+  const trimmed = toHalfWidth_(raw).trim();
+  if (!trimmed) return { valid: false, national: '', e164: '', type: '', reason: 'empty' };
+
+  const grouped = trimmed.replace(PHONE_SEPARATOR_PATTERN, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+  let digits = grouped.replace(/-/g, '');
+  let nationalGroups = grouped;
+  if (/^\+81/.test(digits)) {
+    digits = `0${digits.slice(3)}`;
+    nationalGroups = `0${grouped.replace(/^\+81-?/, '')}`;
+  }
+  if (!/^\d+$/.test(digits)) {
+    return { valid: false, national: '', e164: '', type: 'unknown', reason: 'contains non-digit characters' };
+  }
+
+  const type = classifyJapanesePhone_(digits);
+  if (!type) {
+    return { valid: false, national: '', e164: '', type: 'unknown', reason: `not a Japanese phone number (${digits.length} digits)` };
+  }
+
+  let national = nationalGroups;
+  if (national.indexOf('-') === -1) {
+    if (type === 'mobile' || type === 'ip') national = `${digits.slice(0, 3)}-${digits.slice(3, 7)}-${digits.slice(7)}`;
+    else if (type === 'tollfree' && digits.length === 10) national = `${digits.slice(0, 4)}-${digits.slice(4, 7)}-${digits.slice(7)}`;
+    else if (type === 'landline' && /^0[36]/.test(digits)) national = `${digits.slice(0, 2)}-${digits.slice(2, 6)}-${digits.slice(6)}`;
+    else national = digits;
+  }
+  return { valid: true, national, e164: `+81${digits.slice(1)}`, type, reason: '' };
+}
+
+function classifyJapanesePhone_(digits) {
+  if (/^0[6789]0\d{8}$/.test(digits)) return 'mobile';
+  if (/^050\d{8}$/.test(digits)) return 'ip';
+  if (/^0120\d{6}$/.test(digits) || /^0800\d{7}$/.test(digits)) return 'tollfree';
+  if (/^0(?![5-9]0)[1-9]\d{8}$/.test(digits)) return 'landline';
+  return '';
+}
+
+function normalizeEmail_(raw) {
+  const value = toHalfWidth_(raw).trim().replace(/^mailto:/i, '');
+  if (!value) return { valid: false, value: '', reason: 'empty', suggestion: '' };
+  if (!EMAIL_PATTERN.test(value) || /\.\./.test(value) || /^\.|\.@/.test(value)) {
+    return { valid: false, value: '', reason: 'invalid email syntax', suggestion: '' };
+  }
+  const at = value.lastIndexOf('@');
+  const domain = value.slice(at + 1).toLowerCase();
+  return {
+    valid: true,
+    value: `${value.slice(0, at)}@${domain}`,
+    reason: '',
+    suggestion: EMAIL_DOMAIN_TYPOS[domain] || ''
+  };
+}
+
+/** ────────────────────────────────────────────────
+ *  Japanese era (wareki) dates
+ * ────────────────────────────────────────────────*/
+
+const WAREKI_ERAS = [
+  { names: ['令和', 'R'], start: 2019 },
+  { names: ['平成', 'H'], start: 1989 },
+  { names: ['昭和', 'S'], start: 1926 },
+  { names: ['大正', 'T'], start: 1912 },
+  { names: ['明治', 'M'], start: 1868 }
+];
+
+const WAREKI_PATTERN = /(令和|平成|昭和|大正|明治|[RHSTM])\s*(元|\d{1,2})\s*(?:年|[.\/]|(?=\D|$))/i;
+
+// "平成30年" / "H30" / "令和元年" → Western year, null when no era is present.
+function warekiToWesternYear_(raw) {
+  const value = toHalfWidth_(raw);
+  const m = value.match(WAREKI_PATTERN);
+  if (!m) return null;
+  const eraName = m[1].length === 1 ? m[1].toUpperCase() : m[1];
+  const era = WAREKI_ERAS.find(e => e.names.indexOf(eraName) !== -1);
+  if (!era) return null;
+  const n = m[2] === '元' ? 1 : Number(m[2]);
+  return n > 0 ? era.start + n - 1 : null;
+}
+
+// "平成30(2018)年式", "H30年", "令和2年", "2018年式" → 2018
+function parseModelYear_(raw) {
+  const value = toHalfWidth_(raw);
+  if (!value.trim()) return null;
+  const western = value.match(/(?:^|[^\d])((?:19|20)\d{2})(?!\d)/);
+  if (western) return Number(western[1]);
+  return warekiToWesternYear_(value);
+}
+
+/**
+ * 車検時期 → "yyyy-MM-dd". Month-only values ("2025年3月", "R7.3") resolve to the
+ * last day of that month, since the inspection stays valid through it.
+ */
+function parseInspectionDeadline_(raw) {
+  const value = toHalfWidth_(raw).replace(/\s+/g, '');
+  if (!value) return null;
+
+  let year = null;
+  let rest = value;
+  const western = value.match(/((?:19|20)\d{2})\s*(?:年|[.\/-])/);
+  if (western) {
+    year = Number(western[1]);
+    rest = value.slice(western.index + western[0].length);
+  } else {
+    const m = value.match(WAREKI_PATTERN);
+    if (m) {
+      year = warekiToWesternYear_(m[0]);
+      rest = value.slice(m.index + m[0].length);
+    }
+  }
+  if (!year) return null;
+
+  const md = rest.match(/^(\d{1,2})(?:月|[.\/-])?(?:(\d{1,2})日?)?/);
+  if (!md) return null;
+  const month = Number(md[1]);
+  if (month < 1 || month > 12) return null;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const day = md[2] ? Number(md[2]) : lastDay;
+  if (day < 1 || day > lastDay) return null;
+  const pad = (n) => (n < 10 ? `0${n}` : String(n));
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Full-width ASCII (Ａ-Ｚ, ０-９, ，．～ …) → half-width, ideographic space → space.
+function toHalfWidth_(value) {
+  return String(value || '')
+    .replace(/[\uFF01-\uFF5E]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+    .replace(/\u3000/g, ' ');
+}
+
 function normalizeZenkakuDigits_(value) {
   return (value || '').replace(/[０-９]/g, (d) => String('０１２３４５６７８９'.indexOf(d)));
 }
@@ -957,20 +3455,596 @@ function trimTrailingSeparators_(value) {
   return (value || '').replace(/[／/|｜・･、,]+$/, '').trim();
 }
 
+/** ────────────────────────────────────────────────
+ *  Japanese address splitting
+ * ────────────────────────────────────────────────*/
+
+const JAPAN_PREFECTURES = [
+  '北海道', '青森県', '岩手県', '宮城県', '秋田県', '山形県', '福島県',
+  '茨城県', '栃木県', '群馬県', '埼玉県', '千葉県', '東京都', '神奈川県',
+  '新潟県', '富山県', '石川県', '福井県', '山梨県', '長野県', '岐阜県',
+  '静岡県', '愛知県', '三重県', '滋賀県', '京都府', '大阪府', '兵庫県',
+  '奈良県', '和歌山県', '鳥取県', '島根県', '岡山県', '広島県', '山口県',
+  '徳島県', '香川県', '愛媛県', '高知県', '福岡県', '佐賀県', '長崎県',
+  '熊本県', '大分県', '宮崎県', '鹿児島県', '沖縄県'
+];
+
+/**
+ * Every municipality by prefecture, from the MIC local government code list
+ * (総務省 全国地方公共団体コード, via the jp-local-gov package; refresh after mergers):
+ *   designated  政令指定都市 → wards (kept with the city: 名古屋市東区)
+ *   names       all other cities, towns and villages, Tokyo's special wards included;
+ *               town/village names are listed without their 郡
+ *   counties    郡 names containing 市 (余市郡, 高市郡)
+ * Anything not listed falls back to the 郡+町村 / 市区町村 suffix rules and is reported
+ * as cityMatch "pattern" (unverified: a made-up 〇〇市 is split the same way as a real one).
+ */
+const JAPAN_MUNICIPALITY_TABLE = {
+  '北海道': {
+    counties: ['余市郡'],
+    designated: {
+      '札幌市': ['中央区', '北区', '東区', '白石区', '豊平区', '南区', '西区', '厚別区', '手稲区', '清田区']
+    },
+    names: [
+      '函館市', '小樽市', '旭川市', '室蘭市', '釧路市', '帯広市', '北見市', '夕張市',
+      '岩見沢市', '網走市', '留萌市', '苫小牧市', '稚内市', '美唄市', '芦別市', '江別市',
+      '赤平市', '紋別市', '士別市', '名寄市', '三笠市', '根室市', '千歳市', '滝川市',
+      '砂川市', '歌志内市', '深川市', '富良野市', '登別市', '恵庭市', '伊達市', '北広島市',
+      '石狩市', '北斗市', '当別町', '新篠津村', '松前町', '福島町', '知内町', '木古内町',
+      '七飯町', '鹿部町', '森町', '八雲町', '長万部町', '江差町', '上ノ国町', '厚沢部町',
+      '乙部町', '奥尻町', '今金町', 'せたな町', '島牧村', '寿都町', '黒松内町', '蘭越町',
+      'ニセコ町', '真狩村', '留寿都村', '喜茂別町', '京極町', '倶知安町', '共和町', '岩内町',
+      '泊村', '神恵内村', '積丹町', '古平町', '仁木町', '余市町', '赤井川村', '南幌町',
+      '奈井江町', '上砂川町', '由仁町', '長沼町', '栗山町', '月形町', '浦臼町', '新十津川町',
+      '妹背牛町', '秩父別町', '雨竜町', '北竜町', '沼田町', '鷹栖町', '東神楽町', '当麻町',
+      '比布町', '愛別町', '上川町', '東川町', '美瑛町', '上富良野町', '中富良野町', '南富良野町',
+      '占冠村', '和寒町', '剣淵町', '下川町', '美深町', '音威子府村', '中川町', '幌加内町',
+      '増毛町', '小平町', '苫前町', '羽幌町', '初山別村', '遠別町', '天塩町', '猿払村',
+      '浜頓別町', '中頓別町', '枝幸町', '豊富町', '礼文町', '利尻町', '利尻富士町', '幌延町',
+      '美幌町', '津別町', '斜里町', '清里町', '小清水町', '訓子府町', '置戸町', '佐呂間町',
+      '遠軽町', '湧別町', '滝上町', '興部町', '西興部村', '雄武町', '大空町', '豊浦町',
+      '壮瞥町', '白老町', '厚真町', '洞爺湖町', '安平町', 'むかわ町', '日高町', '平取町',
+      '新冠町', '浦河町', '様似町', 'えりも町', '新ひだか町', '音更町', '士幌町', '上士幌町',
+      '鹿追町', '新得町', '清水町', '芽室町', '中札内村', '更別村', '大樹町', '広尾町',
+      '幕別町', '池田町', '豊頃町', '本別町', '足寄町', '陸別町', '浦幌町', '釧路町',
+      '厚岸町', '浜中町', '標茶町', '弟子屈町', '鶴居村', '白糠町', '別海町', '中標津町',
+      '標津町', '羅臼町', '色丹村', '泊村', '留夜別村', '留別村', '紗那村', '蘂取村'
+    ]
+  },
+  '青森県': {
+    names: [
+      '青森市', '弘前市', '八戸市', '黒石市', '五所川原市', '十和田市', '三沢市', 'むつ市',
+      'つがる市', '平川市', '平内町', '今別町', '蓬田村', '外ヶ浜町', '鰺ヶ沢町', '深浦町',
+      '西目屋村', '藤崎町', '大鰐町', '田舎館村', '板柳町', '鶴田町', '中泊町', '野辺地町',
+      '七戸町', '六戸町', '横浜町', '東北町', '六ヶ所村', 'おいらせ町', '大間町', '東通村',
+      '風間浦村', '佐井村', '三戸町', '五戸町', '田子町', '南部町', '階上町', '新郷村'
+    ]
+  },
+  '岩手県': {
+    names: [
+      '盛岡市', '宮古市', '大船渡市', '花巻市', '北上市', '久慈市', '遠野市', '一関市',
+      '陸前高田市', '釜石市', '二戸市', '八幡平市', '奥州市', '滝沢市', '雫石町', '葛巻町',
+      '岩手町', '紫波町', '矢巾町', '西和賀町', '金ケ崎町', '平泉町', '住田町', '大槌町',
+      '山田町', '岩泉町', '田野畑村', '普代村', '軽米町', '野田村', '九戸村', '洋野町',
+      '一戸町'
+    ]
+  },
+  '宮城県': {
+    designated: {
+      '仙台市': ['青葉区', '宮城野区', '若林区', '太白区', '泉区']
+    },
+    names: [
+      '石巻市', '塩竈市', '気仙沼市', '白石市', '名取市', '角田市', '多賀城市', '岩沼市',
+      '登米市', '栗原市', '東松島市', '大崎市', '富谷市', '蔵王町', '七ヶ宿町', '大河原町',
+      '村田町', '柴田町', '川崎町', '丸森町', '亘理町', '山元町', '松島町', '七ヶ浜町',
+      '利府町', '大和町', '大郷町', '大衡村', '色麻町', '加美町', '涌谷町', '美里町',
+      '女川町', '南三陸町'
+    ]
+  },
+  '秋田県': {
+    names: [
+      '秋田市', '能代市', '横手市', '大館市', '男鹿市', '湯沢市', '鹿角市', '由利本荘市',
+      '潟上市', '大仙市', '北秋田市', 'にかほ市', '仙北市', '小坂町', '上小阿仁村', '藤里町',
+      '三種町', '八峰町', '五城目町', '八郎潟町', '井川町', '大潟村', '美郷町', '羽後町',
+      '東成瀬村'
+    ]
+  },
+  '山形県': {
+    names: [
+      '山形市', '米沢市', '鶴岡市', '酒田市', '新庄市', '寒河江市', '上山市', '村山市',
+      '長井市', '天童市', '東根市', '尾花沢市', '南陽市', '山辺町', '中山町', '河北町',
+      '西川町', '朝日町', '大江町', '大石田町', '金山町', '最上町', '舟形町', '真室川町',
+      '大蔵村', '鮭川村', '戸沢村', '高畠町', '川西町', '小国町', '白鷹町', '飯豊町',
+      '三川町', '庄内町', '遊佐町'
+    ]
+  },
+  '福島県': {
+    names: [
+      '福島市', '会津若松市', '郡山市', 'いわき市', '白河市', '須賀川市', '喜多方市', '相馬市',
+      '二本松市', '田村市', '南相馬市', '伊達市', '本宮市', '桑折町', '国見町', '川俣町',
+      '大玉村', '鏡石町', '天栄村', '下郷町', '檜枝岐村', '只見町', '南会津町', '北塩原村',
+      '西会津町', '磐梯町', '猪苗代町', '会津坂下町', '湯川村', '柳津町', '三島町', '金山町',
+      '昭和村', '会津美里町', '西郷村', '泉崎村', '中島村', '矢吹町', '棚倉町', '矢祭町',
+      '塙町', '鮫川村', '石川町', '玉川村', '平田村', '浅川町', '古殿町', '三春町',
+      '小野町', '広野町', '楢葉町', '富岡町', '川内村', '大熊町', '双葉町', '浪江町',
+      '葛尾村', '新地町', '飯舘村'
+    ]
+  },
+  '茨城県': {
+    names: [
+      '水戸市', '日立市', '土浦市', '古河市', '石岡市', '結城市', '龍ケ崎市', '下妻市',
+      '常総市', '常陸太田市', '高萩市', '北茨城市', '笠間市', '取手市', '牛久市', 'つくば市',
+      'ひたちなか市', '鹿嶋市', '潮来市', '守谷市', '常陸大宮市', '那珂市', '筑西市', '坂東市',
+      '稲敷市', 'かすみがうら市', '桜川市', '神栖市', '行方市', '鉾田市', 'つくばみらい市', '小美玉市',
+      '茨城町', '大洗町', '城里町', '東海村', '大子町', '美浦村', '阿見町', '河内町',
+      '八千代町', '五霞町', '境町', '利根町'
+    ]
+  },
+  '栃木県': {
+    names: [
+      '宇都宮市', '足利市', '栃木市', '佐野市', '鹿沼市', '日光市', '小山市', '真岡市',
+      '大田原市', '矢板市', '那須塩原市', 'さくら市', '那須烏山市', '下野市', '上三川町', '益子町',
+      '茂木町', '市貝町', '芳賀町', '壬生町', '野木町', '塩谷町', '高根沢町', '那須町',
+      '那珂川町'
+    ]
+  },
+  '群馬県': {
+    names: [
+      '前橋市', '高崎市', '桐生市', '伊勢崎市', '太田市', '沼田市', '館林市', '渋川市',
+      '藤岡市', '富岡市', '安中市', 'みどり市', '榛東村', '吉岡町', '上野村', '神流町',
+      '下仁田町', '南牧村', '甘楽町', '中之条町', '長野原町', '嬬恋村', '草津町', '高山村',
+      '東吾妻町', '片品村', '川場村', '昭和村', 'みなかみ町', '玉村町', '板倉町', '明和町',
+      '千代田町', '大泉町', '邑楽町'
+    ]
+  },
+  '埼玉県': {
+    designated: {
+      'さいたま市': ['西区', '北区', '大宮区', '見沼区', '中央区', '桜区', '浦和区', '南区', '緑区', '岩槻区']
+    },
+    names: [
+      '川越市', '熊谷市', '川口市', '行田市', '秩父市', '所沢市', '飯能市', '加須市',
+      '本庄市', '東松山市', '春日部市', '狭山市', '羽生市', '鴻巣市', '深谷市', '上尾市',
+      '草加市', '越谷市', '蕨市', '戸田市', '入間市', '朝霞市', '志木市', '和光市',
+      '新座市', '桶川市', '久喜市', '北本市', '八潮市', '富士見市', '三郷市', '蓮田市',
+      '坂戸市', '幸手市', '鶴ヶ島市', '日高市', '吉川市', 'ふじみ野市', '白岡市', '伊奈町',
+      '三芳町', '毛呂山町', '越生町', '滑川町', '嵐山町', '小川町', '川島町', '吉見町',
+      '鳩山町', 'ときがわ町', '横瀬町', '皆野町', '長瀞町', '小鹿野町', '東秩父村', '美里町',
+      '神川町', '上里町', '寄居町', '宮代町', '杉戸町', '松伏町'
+    ]
+  },
+  '千葉県': {
+    designated: {
+      '千葉市': ['中央区', '花見川区', '稲毛区', '若葉区', '緑区', '美浜区']
+    },
+    names: [
+      '銚子市', '市川市', '船橋市', '館山市', '木更津市', '松戸市', '野田市', '茂原市',
+      '成田市', '佐倉市', '東金市', '旭市', '習志野市', '柏市', '勝浦市', '市原市',
+      '流山市', '八千代市', '我孫子市', '鴨川市', '鎌ケ谷市', '君津市', '富津市', '浦安市',
+      '四街道市', '袖ケ浦市', '八街市', '印西市', '白井市', '富里市', '南房総市', '匝瑳市',
+      '香取市', '山武市', 'いすみ市', '大網白里市', '酒々井町', '栄町', '神崎町', '多古町',
+      '東庄町', '九十九里町', '芝山町', '横芝光町', '一宮町', '睦沢町', '長生村', '白子町',
+      '長柄町', '長南町', '大多喜町', '御宿町', '鋸南町'
+    ]
+  },
+  '東京都': {
+    names: [
+      '千代田区', '中央区', '港区', '新宿区', '文京区', '台東区', '墨田区', '江東区',
+      '品川区', '目黒区', '大田区', '世田谷区', '渋谷区', '中野区', '杉並区', '豊島区',
+      '北区', '荒川区', '板橋区', '練馬区', '足立区', '葛飾区', '江戸川区', '八王子市',
+      '立川市', '武蔵野市', '三鷹市', '青梅市', '府中市', '昭島市', '調布市', '町田市',
+      '小金井市', '小平市', '日野市', '東村山市', '国分寺市', '国立市', '福生市', '狛江市',
+      '東大和市', '清瀬市', '東久留米市', '武蔵村山市', '多摩市', '稲城市', '羽村市', 'あきる野市',
+      '西東京市', '瑞穂町', '日の出町', '檜原村', '奥多摩町', '大島町', '利島村', '新島村',
+      '神津島村', '三宅村', '御蔵島村', '八丈町', '青ヶ島村', '小笠原村'
+    ]
+  },
+  '神奈川県': {
+    designated: {
+      '横浜市': ['鶴見区', '神奈川区', '西区', '中区', '南区', '保土ケ谷区', '磯子区', '金沢区', '港北区', '戸塚区', '港南区', '旭区', '緑区', '瀬谷区', '栄区', '泉区', '青葉区', '都筑区'],
+      '川崎市': ['川崎区', '幸区', '中原区', '高津区', '多摩区', '宮前区', '麻生区'],
+      '相模原市': ['緑区', '中央区', '南区']
+    },
+    names: [
+      '横須賀市', '平塚市', '鎌倉市', '藤沢市', '小田原市', '茅ヶ崎市', '逗子市', '三浦市',
+      '秦野市', '厚木市', '大和市', '伊勢原市', '海老名市', '座間市', '南足柄市', '綾瀬市',
+      '葉山町', '寒川町', '大磯町', '二宮町', '中井町', '大井町', '松田町', '山北町',
+      '開成町', '箱根町', '真鶴町', '湯河原町', '愛川町', '清川村'
+    ]
+  },
+  '新潟県': {
+    designated: {
+      '新潟市': ['北区', '東区', '中央区', '江南区', '秋葉区', '南区', '西区', '西蒲区']
+    },
+    names: [
+      '長岡市', '三条市', '柏崎市', '新発田市', '小千谷市', '加茂市', '十日町市', '見附市',
+      '村上市', '燕市', '糸魚川市', '妙高市', '五泉市', '上越市', '阿賀野市', '佐渡市',
+      '魚沼市', '南魚沼市', '胎内市', '聖籠町', '弥彦村', '田上町', '阿賀町', '出雲崎町',
+      '湯沢町', '津南町', '刈羽村', '関川村', '粟島浦村'
+    ]
+  },
+  '富山県': {
+    names: [
+      '富山市', '高岡市', '魚津市', '氷見市', '滑川市', '黒部市', '砺波市', '小矢部市',
+      '南砺市', '射水市', '舟橋村', '上市町', '立山町', '入善町', '朝日町'
+    ]
+  },
+  '石川県': {
+    names: [
+      '金沢市', '七尾市', '小松市', '輪島市', '珠洲市', '加賀市', '羽咋市', 'かほく市',
+      '白山市', '能美市', '野々市市', '川北町', '津幡町', '内灘町', '志賀町', '宝達志水町',
+      '中能登町', '穴水町', '能登町'
+    ]
+  },
+  '福井県': {
+    names: [
+      '福井市', '敦賀市', '小浜市', '大野市', '勝山市', '鯖江市', 'あわら市', '越前市',
+      '坂井市', '永平寺町', '池田町', '南越前町', '越前町', '美浜町', '高浜町', 'おおい町',
+      '若狭町'
+    ]
+  },
+  '山梨県': {
+    names: [
+      '甲府市', '富士吉田市', '都留市', '山梨市', '大月市', '韮崎市', '南アルプス市', '北杜市',
+      '甲斐市', '笛吹市', '上野原市', '甲州市', '中央市', '市川三郷町', '早川町', '身延町',
+      '南部町', '富士川町', '昭和町', '道志村', '西桂町', '忍野村', '山中湖村', '鳴沢村',
+      '富士河口湖町', '小菅村', '丹波山村'
+    ]
+  },
+  '長野県': {
+    names: [
+      '長野市', '松本市', '上田市', '岡谷市', '飯田市', '諏訪市', '須坂市', '小諸市',
+      '伊那市', '駒ヶ根市', '中野市', '大町市', '飯山市', '茅野市', '塩尻市', '佐久市',
+      '千曲市', '東御市', '安曇野市', '小海町', '川上村', '南牧村', '南相木村', '北相木村',
+      '佐久穂町', '軽井沢町', '御代田町', '立科町', '青木村', '長和町', '下諏訪町', '富士見町',
+      '原村', '辰野町', '箕輪町', '飯島町', '南箕輪村', '中川村', '宮田村', '松川町',
+      '高森町', '阿南町', '阿智村', '平谷村', '根羽村', '下條村', '売木村', '天龍村',
+      '泰阜村', '喬木村', '豊丘村', '大鹿村', '上松町', '南木曽町', '木祖村', '王滝村',
+      '大桑村', '木曽町', '麻績村', '生坂村', '山形村', '朝日村', '筑北村', '池田町',
+      '松川村', '白馬村', '小谷村', '坂城町', '小布施町', '高山村', '山ノ内町', '木島平村',
+      '野沢温泉村', '信濃町', '小川村', '飯綱町', '栄村'
+    ]
+  },
+  '岐阜県': {
+    names: [
+      '岐阜市', '大垣市', '高山市', '多治見市', '関市', '中津川市', '美濃市', '瑞浪市',
+      '羽島市', '恵那市', '美濃加茂市', '土岐市', '各務原市', '可児市', '山県市', '瑞穂市',
+      '飛騨市', '本巣市', '郡上市', '下呂市', '海津市', '岐南町', '笠松町', '養老町',
+      '垂井町', '関ケ原町', '神戸町', '輪之内町', '安八町', '揖斐川町', '大野町', '池田町',
+      '北方町', '坂祝町', '富加町', '川辺町', '七宗町', '八百津町', '白川町', '東白川村',
+      '御嵩町', '白川村'
+    ]
+  },
+  '静岡県': {
+    designated: {
+      '静岡市': ['葵区', '駿河区', '清水区'],
+      '浜松市': ['中央区', '浜名区', '天竜区']
+    },
+    names: [
+      '沼津市', '熱海市', '三島市', '富士宮市', '伊東市', '島田市', '富士市', '磐田市',
+      '焼津市', '掛川市', '藤枝市', '御殿場市', '袋井市', '下田市', '裾野市', '湖西市',
+      '伊豆市', '御前崎市', '菊川市', '伊豆の国市', '牧之原市', '東伊豆町', '河津町', '南伊豆町',
+      '松崎町', '西伊豆町', '函南町', '清水町', '長泉町', '小山町', '吉田町', '川根本町',
+      '森町'
+    ]
+  },
+  '愛知県': {
+    designated: {
+      '名古屋市': ['千種区', '東区', '北区', '西区', '中村区', '中区', '昭和区', '瑞穂区', '熱田区', '中川区', '港区', '南区', '守山区', '緑区', '名東区', '天白区']
+    },
+    names: [
+      '豊橋市', '岡崎市', '一宮市', '瀬戸市', '半田市', '春日井市', '豊川市', '津島市',
+      '碧南市', '刈谷市', '豊田市', '安城市', '西尾市', '蒲郡市', '犬山市', '常滑市',
+      '江南市', '小牧市', '稲沢市', '新城市', '東海市', '大府市', '知多市', '知立市',
+      '尾張旭市', '高浜市', '岩倉市', '豊明市', '日進市', '田原市', '愛西市', '清須市',
+      '北名古屋市', '弥富市', 'みよし市', 'あま市', '長久手市', '東郷町', '豊山町', '大口町',
+      '扶桑町', '大治町', '蟹江町', '飛島村', '阿久比町', '東浦町', '南知多町', '美浜町',
+      '武豊町', '幸田町', '設楽町', '東栄町', '豊根村'
+    ]
+  },
+  '三重県': {
+    names: [
+      '津市', '四日市市', '伊勢市', '松阪市', '桑名市', '鈴鹿市', '名張市', '尾鷲市',
+      '亀山市', '鳥羽市', '熊野市', 'いなべ市', '志摩市', '伊賀市', '木曽岬町', '東員町',
+      '菰野町', '朝日町', '川越町', '多気町', '明和町', '大台町', '玉城町', '度会町',
+      '大紀町', '南伊勢町', '紀北町', '御浜町', '紀宝町'
+    ]
+  },
+  '滋賀県': {
+    names: [
+      '大津市', '彦根市', '長浜市', '近江八幡市', '草津市', '守山市', '栗東市', '甲賀市',
+      '野洲市', '湖南市', '高島市', '東近江市', '米原市', '日野町', '竜王町', '愛荘町',
+      '豊郷町', '甲良町', '多賀町'
+    ]
+  },
+  '京都府': {
+    designated: {
+      '京都市': ['北区', '上京区', '左京区', '中京区', '東山区', '下京区', '南区', '右京区', '伏見区', '山科区', '西京区']
+    },
+    names: [
+      '福知山市', '舞鶴市', '綾部市', '宇治市', '宮津市', '亀岡市', '城陽市', '向日市',
+      '長岡京市', '八幡市', '京田辺市', '京丹後市', '南丹市', '木津川市', '大山崎町', '久御山町',
+      '井手町', '宇治田原町', '笠置町', '和束町', '精華町', '南山城村', '京丹波町', '伊根町',
+      '与謝野町'
+    ]
+  },
+  '大阪府': {
+    designated: {
+      '大阪市': ['都島区', '福島区', '此花区', '西区', '港区', '大正区', '天王寺区', '浪速区', '西淀川区', '東淀川区', '東成区', '生野区', '旭区', '城東区', '阿倍野区', '住吉区', '東住吉区', '西成区', '淀川区', '鶴見区', '住之江区', '平野区', '北区', '中央区'],
+      '堺市': ['堺区', '中区', '東区', '西区', '南区', '北区', '美原区']
+    },
+    names: [
+      '岸和田市', '豊中市', '池田市', '吹田市', '泉大津市', '高槻市', '貝塚市', '守口市',
+      '枚方市', '茨木市', '八尾市', '泉佐野市', '富田林市', '寝屋川市', '河内長野市', '松原市',
+      '大東市', '和泉市', '箕面市', '柏原市', '羽曳野市', '門真市', '摂津市', '高石市',
+      '藤井寺市', '東大阪市', '泉南市', '四條畷市', '交野市', '大阪狭山市', '阪南市', '島本町',
+      '豊能町', '能勢町', '忠岡町', '熊取町', '田尻町', '岬町', '太子町', '河南町',
+      '千早赤阪村'
+    ]
+  },
+  '兵庫県': {
+    designated: {
+      '神戸市': ['東灘区', '灘区', '兵庫区', '長田区', '須磨区', '垂水区', '北区', '中央区', '西区']
+    },
+    names: [
+      '姫路市', '尼崎市', '明石市', '西宮市', '洲本市', '芦屋市', '伊丹市', '相生市',
+      '豊岡市', '加古川市', '赤穂市', '西脇市', '宝塚市', '三木市', '高砂市', '川西市',
+      '小野市', '三田市', '加西市', '丹波篠山市', '養父市', '丹波市', '南あわじ市', '朝来市',
+      '淡路市', '宍粟市', '加東市', 'たつの市', '猪名川町', '多可町', '稲美町', '播磨町',
+      '市川町', '福崎町', '神河町', '太子町', '上郡町', '佐用町', '香美町', '新温泉町'
+    ]
+  },
+  '奈良県': {
+    counties: ['高市郡'],
+    names: [
+      '奈良市', '大和高田市', '大和郡山市', '天理市', '橿原市', '桜井市', '五條市', '御所市',
+      '生駒市', '香芝市', '葛城市', '宇陀市', '山添村', '平群町', '三郷町', '斑鳩町',
+      '安堵町', '川西町', '三宅町', '田原本町', '曽爾村', '御杖村', '高取町', '明日香村',
+      '上牧町', '王寺町', '広陵町', '河合町', '吉野町', '大淀町', '下市町', '黒滝村',
+      '天川村', '野迫川村', '十津川村', '下北山村', '上北山村', '川上村', '東吉野村'
+    ]
+  },
+  '和歌山県': {
+    names: [
+      '和歌山市', '海南市', '橋本市', '有田市', '御坊市', '田辺市', '新宮市', '紀の川市',
+      '岩出市', '紀美野町', 'かつらぎ町', '九度山町', '高野町', '湯浅町', '広川町', '有田川町',
+      '美浜町', '日高町', '由良町', '印南町', 'みなべ町', '日高川町', '白浜町', '上富田町',
+      'すさみ町', '那智勝浦町', '太地町', '古座川町', '北山村', '串本町'
+    ]
+  },
+  '鳥取県': {
+    names: [
+      '鳥取市', '米子市', '倉吉市', '境港市', '岩美町', '若桜町', '智頭町', '八頭町',
+      '三朝町', '湯梨浜町', '琴浦町', '北栄町', '日吉津村', '大山町', '南部町', '伯耆町',
+      '日南町', '日野町', '江府町'
+    ]
+  },
+  '島根県': {
+    names: [
+      '松江市', '浜田市', '出雲市', '益田市', '大田市', '安来市', '江津市', '雲南市',
+      '奥出雲町', '飯南町', '川本町', '美郷町', '邑南町', '津和野町', '吉賀町', '海士町',
+      '西ノ島町', '知夫村', '隠岐の島町'
+    ]
+  },
+  '岡山県': {
+    designated: {
+      '岡山市': ['北区', '中区', '東区', '南区']
+    },
+    names: [
+      '倉敷市', '津山市', '玉野市', '笠岡市', '井原市', '総社市', '高梁市', '新見市',
+      '備前市', '瀬戸内市', '赤磐市', '真庭市', '美作市', '浅口市', '和気町', '早島町',
+      '里庄町', '矢掛町', '新庄村', '鏡野町', '勝央町', '奈義町', '西粟倉村', '久米南町',
+      '美咲町', '吉備中央町'
+    ]
+  },
+  '広島県': {
+    designated: {
+      '広島市': ['中区', '東区', '南区', '西区', '安佐南区', '安佐北区', '安芸区', '佐伯区']
+    },
+    names: [
+      '呉市', '竹原市', '三原市', '尾道市', '福山市', '府中市', '三次市', '庄原市',
+      '大竹市', '東広島市', '廿日市市', '安芸高田市', '江田島市', '府中町', '海田町', '熊野町',
+      '坂町', '安芸太田町', '北広島町', '大崎上島町', '世羅町', '神石高原町'
+    ]
+  },
+  '山口県': {
+    names: [
+      '下関市', '宇部市', '山口市', '萩市', '防府市', '下松市', '岩国市', '光市',
+      '長門市', '柳井市', '美祢市', '周南市', '山陽小野田市', '周防大島町', '和木町', '上関町',
+      '田布施町', '平生町', '阿武町'
+    ]
+  },
+  '徳島県': {
+    names: [
+      '徳島市', '鳴門市', '小松島市', '阿南市', '吉野川市', '阿波市', '美馬市', '三好市',
+      '勝浦町', '上勝町', '佐那河内村', '石井町', '神山町', '那賀町', '牟岐町', '美波町',
+      '海陽町', '松茂町', '北島町', '藍住町', '板野町', '上板町', 'つるぎ町', '東みよし町'
+    ]
+  },
+  '香川県': {
+    names: [
+      '高松市', '丸亀市', '坂出市', '善通寺市', '観音寺市', 'さぬき市', '東かがわ市', '三豊市',
+      '土庄町', '小豆島町', '三木町', '直島町', '宇多津町', '綾川町', '琴平町', '多度津町',
+      'まんのう町'
+    ]
+  },
+  '愛媛県': {
+    names: [
+      '松山市', '今治市', '宇和島市', '八幡浜市', '新居浜市', '西条市', '大洲市', '伊予市',
+      '四国中央市', '西予市', '東温市', '上島町', '久万高原町', '松前町', '砥部町', '内子町',
+      '伊方町', '松野町', '鬼北町', '愛南町'
+    ]
+  },
+  '高知県': {
+    names: [
+      '高知市', '室戸市', '安芸市', '南国市', '土佐市', '須崎市', '宿毛市', '土佐清水市',
+      '四万十市', '香南市', '香美市', '東洋町', '奈半利町', '田野町', '安田町', '北川村',
+      '馬路村', '芸西村', '本山町', '大豊町', '土佐町', '大川村', 'いの町', '仁淀川町',
+      '中土佐町', '佐川町', '越知町', '梼原町', '日高村', '津野町', '四万十町', '大月町',
+      '三原村', '黒潮町'
+    ]
+  },
+  '福岡県': {
+    designated: {
+      '北九州市': ['門司区', '若松区', '戸畑区', '小倉北区', '小倉南区', '八幡東区', '八幡西区'],
+      '福岡市': ['東区', '博多区', '中央区', '南区', '西区', '城南区', '早良区']
+    },
+    names: [
+      '大牟田市', '久留米市', '直方市', '飯塚市', '田川市', '柳川市', '八女市', '筑後市',
+      '大川市', '行橋市', '豊前市', '中間市', '小郡市', '筑紫野市', '春日市', '大野城市',
+      '宗像市', '太宰府市', '古賀市', '福津市', 'うきは市', '宮若市', '嘉麻市', '朝倉市',
+      'みやま市', '糸島市', '那珂川市', '宇美町', '篠栗町', '志免町', '須恵町', '新宮町',
+      '久山町', '粕屋町', '芦屋町', '水巻町', '岡垣町', '遠賀町', '小竹町', '鞍手町',
+      '桂川町', '筑前町', '東峰村', '大刀洗町', '大木町', '広川町', '香春町', '添田町',
+      '糸田町', '川崎町', '大任町', '赤村', '福智町', '苅田町', 'みやこ町', '吉富町',
+      '上毛町', '築上町'
+    ]
+  },
+  '佐賀県': {
+    names: [
+      '佐賀市', '唐津市', '鳥栖市', '多久市', '伊万里市', '武雄市', '鹿島市', '小城市',
+      '嬉野市', '神埼市', '吉野ヶ里町', '基山町', '上峰町', 'みやき町', '玄海町', '有田町',
+      '大町町', '江北町', '白石町', '太良町'
+    ]
+  },
+  '長崎県': {
+    names: [
+      '長崎市', '佐世保市', '島原市', '諫早市', '大村市', '平戸市', '松浦市', '対馬市',
+      '壱岐市', '五島市', '西海市', '雲仙市', '南島原市', '長与町', '時津町', '東彼杵町',
+      '川棚町', '波佐見町', '小値賀町', '佐々町', '新上五島町'
+    ]
+  },
+  '熊本県': {
+    designated: {
+      '熊本市': ['中央区', '東区', '西区', '南区', '北区']
+    },
+    names: [
+      '八代市', '人吉市', '荒尾市', '水俣市', '玉名市', '山鹿市', '菊池市', '宇土市',
+      '上天草市', '宇城市', '阿蘇市', '天草市', '合志市', '美里町', '玉東町', '南関町',
+      '長洲町', '和水町', '大津町', '菊陽町', '南小国町', '小国町', '産山村', '高森町',
+      '西原村', '南阿蘇村', '御船町', '嘉島町', '益城町', '甲佐町', '山都町', '氷川町',
+      '芦北町', '津奈木町', '錦町', '多良木町', '湯前町', '水上村', '相良村', '五木村',
+      '山江村', '球磨村', 'あさぎり町', '苓北町'
+    ]
+  },
+  '大分県': {
+    names: [
+      '大分市', '別府市', '中津市', '日田市', '佐伯市', '臼杵市', '津久見市', '竹田市',
+      '豊後高田市', '杵築市', '宇佐市', '豊後大野市', '由布市', '国東市', '姫島村', '日出町',
+      '九重町', '玖珠町'
+    ]
+  },
+  '宮崎県': {
+    names: [
+      '宮崎市', '都城市', '延岡市', '日南市', '小林市', '日向市', '串間市', '西都市',
+      'えびの市', '三股町', '高原町', '国富町', '綾町', '高鍋町', '新富町', '西米良村',
+      '木城町', '川南町', '都農町', '門川町', '諸塚村', '椎葉村', '美郷町', '高千穂町',
+      '日之影町', '五ヶ瀬町'
+    ]
+  },
+  '鹿児島県': {
+    names: [
+      '鹿児島市', '鹿屋市', '枕崎市', '阿久根市', '出水市', '指宿市', '西之表市', '垂水市',
+      '薩摩川内市', '日置市', '曽於市', '霧島市', 'いちき串木野市', '南さつま市', '志布志市', '奄美市',
+      '南九州市', '伊佐市', '姶良市', '三島村', '十島村', 'さつま町', '長島町', '湧水町',
+      '大崎町', '東串良町', '錦江町', '南大隅町', '肝付町', '中種子町', '南種子町', '屋久島町',
+      '大和村', '宇検村', '瀬戸内町', '龍郷町', '喜界町', '徳之島町', '天城町', '伊仙町',
+      '和泊町', '知名町', '与論町'
+    ]
+  },
+  '沖縄県': {
+    names: [
+      '那覇市', '宜野湾市', '石垣市', '浦添市', '名護市', '糸満市', '沖縄市', '豊見城市',
+      'うるま市', '宮古島市', '南城市', '国頭村', '大宜味村', '東村', '今帰仁村', '本部町',
+      '恩納村', '宜野座村', '金武町', '伊江村', '読谷村', '嘉手納町', '北谷町', '北中城村',
+      '中城村', '西原町', '与那原町', '南風原町', '渡嘉敷村', '座間味村', '粟国村', '渡名喜村',
+      '南大東村', '北大東村', '伊平屋村', '伊是名村', '久米島町', '八重瀬町', '多良間村', '竹富町',
+      '与那国町'
+    ]
+  }
+};
+
+/**
+ * Splits a Japanese address into prefecture / municipality / remainder.
+ * Designated-city wards stay with the city and 郡 + 町村 is one unit.
+ * `prefectureRecognized` and `cityMatch` ("table", "pattern" or "none") say how
+ * confident the split is.
+ */
 function splitJapaneseAddress_(full) {
   const value = (full || '').trim();
-  if (!value) return { state: '', city: '', address: '' };
-
-  const m = value.match(/^(.+?[都道府県])(.+?[市区町村郡])?(.*)$/);
-  if (m) {
-    return {
-      state: (m[1] || '').trim(),
-      city: (m[2] || '').trim(),
-      address: (m[3] || '').trim()
-    };
+  if (!value) return { state: '', city: '', address: '', prefectureRecognized: false, cityMatch: 'none' };
+
+  let state = JAPAN_PREFECTURES.find(p => value.indexOf(p) === 0) || '';
+  let rest = state ? value.slice(state.length) : value;
+
+  let municipality = matchMunicipality_(rest, state);
+  if (!state && municipality.prefecture) state = municipality.prefecture;
+  if (!state && municipality.match === 'none') {
+    // Unknown prefecture spelling: fall back to the suffix rule so nothing is lost.
+    const m = value.match(/^(.+?[都道府県])(.*)$/);
+    if (m) {
+      state = m[1];
+      rest = m[2];
+      municipality = matchMunicipality_(rest, '');
+    }
+  }
+
+  return {
+    state,
+    city: municipality.city,
+    address: rest.slice(municipality.city.length).trim(),
+    prefectureRecognized: JAPAN_PREFECTURES.indexOf(state) !== -1,
+    cityMatch: municipality.match
+  };
+}
+
+function matchMunicipality_(rest, prefecture) {
+  const scopes = prefecture
+    ? [[prefecture, JAPAN_MUNICIPALITY_TABLE[prefecture] || {}]]
+    : Object.keys(JAPAN_MUNICIPALITY_TABLE).map(p => [p, JAPAN_MUNICIPALITY_TABLE[p]]);
+
+  for (const [pref, entry] of scopes) {
+    const designated = entry.designated || {};
+    for (const cityName of Object.keys(designated)) {
+      if (rest.indexOf(cityName) !== 0) continue;
+      const after = rest.slice(cityName.length);
+      const ward = longestPrefix_(after, designated[cityName]);
+      return { city: cityName + ward, match: 'table', prefecture: pref };
+    }
+    // Ward and town names repeat across prefectures, so only trust them once the prefecture is known.
+    const named = prefecture ? longestPrefix_(rest, entry.names || []) : '';
+    if (named) return { city: named, match: 'table', prefecture: pref };
+  }
+
+  const entry = JAPAN_MUNICIPALITY_TABLE[prefecture] || {};
+  // "…郡市" is a city (蒲郡市, 小郡市), not a county followed by a town.
+  const countyName = longestPrefix_(rest, entry.counties || []) || (rest.match(/^([^市区]+?郡)(?!市)/) || [])[1] || '';
+  const town = countyName ? rest.slice(countyName.length).match(/^(.+?[町村])/) : null;
+  if (town) {
+    const known = longestPrefix_(rest.slice(countyName.length), entry.names || []);
+    return { city: countyName + (known || town[1]), match: known ? 'table' : 'pattern', prefecture: '' };
+  }
+
+  const generic = rest.match(/^(.+?[市区町村])/);
+  if (generic) return { city: generic[1], match: 'pattern', prefecture: '' };
+  return { city: '', match: 'none', prefecture: '' };
+}
+
+// Address problems, kept apart from the contact validation issues.
+function checkAddressSplit_(addressFull, parts) {
+  if (!addressFull) return [];
+  const issues = [];
+  if (!parts.prefectureRecognized) issues.push({ field: 'address', value: addressFull, message: 'prefecture not recognized' });
+  if (parts.cityMatch === 'none') issues.push({ field: 'address', value: addressFull, message: 'city not recognized' });
+  if (parts.cityMatch === 'pattern') {
+    issues.push({ field: 'address', value: addressFull, message: `city "${parts.city}" unverified (split by suffix rule only)` });
   }
+  return issues;
+}
 
-  return { state: '', city: '', address: value };
+function longestPrefix_(value, candidates) {
+  return candidates
+    .filter(c => value.indexOf(c) === 0)
+    .reduce((best, c) => (c.length > best.length ? c : best), '');
 }
 
 function parseJapaneseDateTimeToIsoUtc_(raw, timezone) {
@@ -994,6 +4068,113 @@ function parseJapaneseDateTimeToIsoUtc_(raw, timezone) {
   return Utilities.formatDate(asDate, 'UTC', "yyyy-MM-dd'T'HH:mm:ss'Z'");
 }
 
+/** ────────────────────────────────────────────────
+ *  Retry with backoff
+ * ────────────────────────────────────────────────*/
+
+const RETRYABLE_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_BODY_PATTERN = /REQUEST_LIMIT_EXCEEDED|SERVER_UNAVAILABLE|UNABLE_TO_LOCK_ROW/;
+const RETRYABLE_ERROR_PATTERN = /timed? ?out|Address unavailable|DNS error|Backend Error|Internal error|Rate Limit Exceeded|User-rate limit|Service unavailable|temporar|\b(?:429|500|502|503|504)\b/i;
+const PERMANENT_ERROR_PATTERN = /for one day|daily limit|quota.*exceeded for .*day/i;
+// A POST that timed out or got a 5xx may already have created its rows, so non-idempotent
+// writes are retried only when Salesforce turned the request away before doing anything.
+const NON_IDEMPOTENT_RETRYABLE_STATUSES = [429, 503];
+const NON_IDEMPOTENT_RETRYABLE_BODY_PATTERN = /REQUEST_LIMIT_EXCEEDED/;
+
+/**
+ * Runs `operation` up to RETRY_MAX_ATTEMPTS times with exponential backoff and full jitter.
+ * Thrown errors are retried only when classifyRetryableError_ calls them transient; anything
+ * else is treated as permanent and rethrown immediately. When `inspectResult` is given it
+ * may return { reason, retryAfterMs } to retry a returned value (e.g. an HTTP 503); once the
+ * budget is spent the last value is handed back so the caller's normal error path runs.
+ * `inspectError` replaces classifyRetryableError_ (return null to never retry a throw).
+ */
+function withRetry_(label, operation, config, inspectResult, inspectError) {
+  const policy = resolveRetryPolicy_(config);
+  const classifyError = inspectError || classifyRetryableError_;
+  for (let attempt = 1; ; attempt++) {
+    let verdict = null;
+    let value;
+    let error = null;
+    try {
+      value = operation();
+      verdict = inspectResult ? inspectResult(value) : null;
+      if (!verdict) return value;
+    } catch (err) {
+      verdict = classifyError(err);
+      if (!verdict) throw err;
+      error = err;
+    }
+
+    const delay = attempt < policy.maxAttempts ? computeBackoffDelayMs_(attempt, verdict.retryAfterMs, policy) : null;
+    if (delay === null) {
+      const why = attempt < policy.maxAttempts ? `Retry-After ${verdict.retryAfterMs}ms exceeds RETRY_MAX_DELAY_MS` : `${attempt} attempt(s) used`;
+      console.warn(`↻ ${label}: ${verdict.reason}; giving up (${why}).`);
+      if (error) throw error;
+      return value;
+    }
+    console.warn(`↻ ${label}: ${verdict.reason}; attempt ${attempt}/${policy.maxAttempts}, retrying in ${delay}ms.`);
+    Utilities.sleep(delay);
+  }
+}
+
+function resolveRetryPolicy_(config) {
+  const source = config || {};
+  return {
+    maxAttempts: Math.max(1, source.retryMaxAttempts || DEFAULTS.retryMaxAttempts),
+    baseDelayMs: source.retryBaseDelayMs || DEFAULTS.retryBaseDelayMs,
+    maxDelayMs: source.retryMaxDelayMs || DEFAULTS.retryMaxDelayMs
+  };
+}
+
+function computeBackoffDelayMs_(attempt, retryAfterMs, policy) {
+  if (retryAfterMs) {
+    return retryAfterMs > policy.maxDelayMs ? null : retryAfterMs;
+  }
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.max(100, Math.floor(Math.random() * ceiling));
+}
+
+function classifyRetryableError_(err) {
+  const message = String(err && err.message ? err.message : err);
+  if (PERMANENT_ERROR_PATTERN.test(message)) return null;
+  if (!RETRYABLE_ERROR_PATTERN.test(message)) return null;
+  return { reason: `transient error: ${message.slice(0, 200)}`, retryAfterMs: 0 };
+}
+
+function classifyRetryableResponse_(resp) {
+  const status = resp.getResponseCode();
+  if (status < 400) return null;
+  const text = resp.getContentText() || '';
+  if (RETRYABLE_HTTP_STATUSES.indexOf(status) === -1 && !RETRYABLE_BODY_PATTERN.test(text)) return null;
+  const match = text.match(RETRYABLE_BODY_PATTERN);
+  return {
+    reason: `HTTP ${status}${match ? ` ${match[0]}` : ''}`,
+    retryAfterMs: parseRetryAfterMs_(resp)
+  };
+}
+
+function classifyRetryableInsertResponse_(resp) {
+  const status = resp.getResponseCode();
+  if (status < 400) return null;
+  const match = (resp.getContentText() || '').match(NON_IDEMPOTENT_RETRYABLE_BODY_PATTERN);
+  if (NON_IDEMPOTENT_RETRYABLE_STATUSES.indexOf(status) === -1 && !match) return null;
+  return {
+    reason: `HTTP ${status}${match ? ` ${match[0]}` : ''}`,
+    retryAfterMs: parseRetryAfterMs_(resp)
+  };
+}
+
+function parseRetryAfterMs_(resp) {
+  const headers = (resp.getHeaders && resp.getHeaders()) || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === 'retry-after');
+  const raw = key ? String(headers[key]).trim() : '';
+  if (!raw) return 0;
+  if (/^\d+$/.test(raw)) return Number(raw) * 1000;
+  const at = Date.parse(raw);
+  return isNaN(at) ? 0 : Math.max(0, at - Date.now());
+}
+
 /** ────────────────────────────────────────────────
  *  Misc helpers
  * ────────────────────────────────────────────────*/
@@ -1008,9 +4189,95 @@ function getHeaderValue_(headers, name) {
 }
 
 /** ────────────────────────────────────────────────
- *  GASunzip + TXT helpers
+ *  Unzip + TXT helpers
  * ────────────────────────────────────────────────*/
 
+/**
+ * Extracts a ZIP blob into one blob per file with the built-in reader. Falls back
+ * to the GASunzip library, when it is attached, for compression methods the
+ * built-in reader does not handle.
+ */
+function unzipZipBlob_(zipBlob, password) {
+  if (!zipBlob || !zipBlob.getBytes) {
+    throw new Error('Please set a file blob of zip file. (zipBlob missing/invalid)');
+  }
+  try {
+    return extractZipEntries_(new Uint8Array(zipBlob.getBytes()), password)
+      .map(entry => Utilities.newBlob(toSignedBytes_(entry.bytes), 'application/octet-stream', entry.name));
+  } catch (err) {
+    if (err && err.code === 'ZIP_UNSUPPORTED' && typeof GASunzip !== 'undefined' && GASunzip.unzip) {
+      console.warn(`Built-in unzip: ${err.message}; retrying with GASunzip.`);
+      return unzipWithGASunzip_(zipBlob, password);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Unzips `zipBlob` and recurses into ZIP entries up to ZIP_MAX_DEPTH levels.
+ * Returned blobs are named by provenance, e.g. "outer.zip/inner.zip/lead.txt".
+ * `unlock` carries the message/config for password lookup and collects which
+ * key opened each level; unlock.pending is set when a password mail is still due.
+ * Every level is checked for Deflate64 and counted against ZIP_MAX_UNCOMPRESSED_BYTES
+ * (unlock.expandedBytes) before anything is inflated.
+ */
+function expandZipBlob_(zipBlob, path, depth, unlock) {
+  const zipBytes = new Uint8Array(zipBlob.getBytes());
+  checkZipLimits_(readZipDirectory_(zipBytes), path, unlock);
+  const password = unlockZip_(zipBytes, path, unlock);
+  if (password === null) return [];
+
+  const expanded = [];
+  unzipZipBlob_(zipBlob, password).forEach((file) => {
+    const filePath = `${path}/${file.getName()}`;
+    if (/\.zip$/i.test(file.getName())) {
+      if (depth >= unlock.config.zipMaxDepth) {
+        console.warn(`Skipping nested ${filePath}: ZIP_MAX_DEPTH=${unlock.config.zipMaxDepth} reached.`);
+        return;
+      }
+      console.info(`📦 Nested ZIP → ${filePath}`);
+      expanded.push(...expandZipBlob_(file, filePath, depth + 1, unlock));
+      return;
+    }
+    file.setName(filePath);
+    expanded.push(file);
+  });
+  return expanded;
+}
+
+// Deflate64 check and the running ZIP_MAX_UNCOMPRESSED_BYTES total, once per archive level.
+function checkZipLimits_(entries, path, unlock) {
+  if (entries.some(e => e.method === 9)) {
+    throw new Error(`Unsupported ZIP ${path}: contains Deflate64 (method 9). Recreate with standard Deflate (method 8).`);
+  }
+  const limit = unlock.config.zipMaxUncompressedBytes || DEFAULTS.zipMaxUncompressedBytes;
+  unlock.expandedBytes = (unlock.expandedBytes || 0) + entries.reduce((sum, e) => sum + (e.isDirectory ? 0 : e.uncompressedSize), 0);
+  if (unlock.expandedBytes > limit) {
+    throw zipError_('ZIP_TOO_LARGE', `${path} would unpack to ${unlock.expandedBytes} bytes, over ZIP_MAX_UNCOMPRESSED_BYTES=${limit}`);
+  }
+}
+
+// Password for one archive level: '' when nothing is encrypted, null while waiting for a password mail.
+function unlockZip_(zipBytes, path, unlock) {
+  if (!readZipDirectory_(zipBytes).some(e => e.encrypted)) return '';
+  if (!unlock.candidates) unlock.candidates = collectZipPasswords_(unlock.message, unlock.config);
+  const found = findWorkingZipPassword_(zipBytes, unlock.candidates);
+  if (found) {
+    const source = found.verified ? found.candidate.source : `${found.candidate.source} (unverified)`;
+    console.info(`🔑 ${path} ${found.verified ? 'unlocked' : 'will be tried'} with ${source}.`);
+    if (unlock.sources.indexOf(source) === -1) unlock.sources.push(source);
+    if (found.verified) rememberWorkingZipKey_(unlock.message, found.candidate);
+    return found.candidate.password;
+  }
+  if (isAwaitingPasswordMail_(unlock.message, unlock.config)) {
+    console.warn(`⏳ ${path}: none of ${unlock.candidates.length} password candidate(s) works yet; waiting for the password mail.`);
+    unlock.pending = true;
+    return null;
+  }
+  const count = unlock.candidates.length;
+  throw zipError_(count ? 'ZIP_BAD_PASSWORD' : 'ZIP_PASSWORD_REQUIRED', `none of ${count} password candidate(s) opens ${path}`);
+}
+
 function unzipWithGASunzip_(zipBlob, password) {
   if (typeof GASunzip === 'undefined' || !GASunzip.unzip) {
     throw new Error('GASunzip library not found or identifier not set to \"GASunzip\".');
@@ -1035,58 +4302,77 @@ function unzipWithGASunzip_(zipBlob, password) {
   }
 }
 
+/**
+ * Decodes a TXT entry with the charset detectCharset_ picks from its bytes
+ * (BOM first, then byte patterns). preferredCharset is used when detection is
+ * unsure. Returns { text, charset, confidence, undecodableCount } or null.
+ */
 function decodeTxtBlob_(blob, preferredCharset) {
   const name = blob.getName?.() || 'file.txt';
 
-  const candidates = [
-    preferredCharset || 'Shift_JIS',
-    (Utilities.Charset && Utilities.Charset.SHIFT_JIS) ? Utilities.Charset.SHIFT_JIS : null,
-    'MS932',
-    'Windows-31J',
-    'CP932',
-    'SJIS'
-  ].filter(Boolean);
+  let bytes = null;
+  try {
+    bytes = blob.getBytes();
+  } catch (err) {
+    console.warn(`decodeTxtBlob_: getBytes failed for ${name}: ${err && err.message ? err.message : err}`);
+  }
+  const detected = bytes ? detectCharset_(bytes) : { charset: '', confidence: 0, bom: false };
+  const charset = detected.confidence >= CHARSET_MIN_CONFIDENCE ? detected.charset : (preferredCharset || 'CP932');
+  const candidates = (CHARSET_DECODER_NAMES[charset] || [charset])
+    .concat(CHARSET_DECODER_NAMES.CP932)
+    .filter((cs, idx, all) => cs && all.indexOf(cs) === idx);
 
   const attempt = (candidateBlob) => {
     if (!candidateBlob) return null;
     for (const cs of candidates) {
       try {
         const text = candidateBlob.getDataAsString(cs);
-        if (typeof text === 'string' && text.length) return text;
+        if (typeof text === 'string' && text.length) return { text, charset: cs };
       } catch (err) {
         console.warn(`decodeTxtBlob_: ${name} failed with charset \"${cs}\": ${err && err.message ? err.message : err}`);
       }
     }
     try {
       const fallback = candidateBlob.getDataAsString();
-      if (typeof fallback === 'string' && fallback.length) return fallback;
+      if (typeof fallback === 'string' && fallback.length) return { text: fallback, charset: 'default' };
     } catch (err) {
       console.warn(`decodeTxtBlob_: ${name} final-guess failed: ${err && err.message ? err.message : err}`);
     }
     return null;
   };
 
+  const finish = (decoded) => {
+    const undecodableCount = (decoded.text.match(/\uFFFD/g) || []).length;
+    const confidence = decoded.charset === candidates[0] ? detected.confidence : 0;
+    console.info(`🔤 ${name}: charset=${decoded.charset} confidence=${confidence.toFixed(2)}${detected.bom ? ' (BOM)' : ''}`);
+    if (undecodableCount) {
+      console.warn(`⚠️ ${name}: ${undecodableCount} undecodable character(s) after decoding as ${decoded.charset}.`);
+    }
+    return { text: decoded.text, charset: decoded.charset, confidence, undecodableCount };
+  };
+
   try {
-    const bytes = blob.getBytes();
-    const plain = Utilities.newBlob(bytes, 'text/plain', name);
-    const text = attempt(plain);
-    if (text !== null) return text;
+    if (bytes) {
+      const plain = Utilities.newBlob(bytes, 'text/plain', name);
+      const decoded = attempt(plain);
+      if (decoded !== null) return finish(decoded);
+    }
   } catch (err) {
-    console.warn(`decodeTxtBlob_: getBytes/newBlob path failed for ${name}: ${err && err.message ? err.message : err}`);
+    console.warn(`decodeTxtBlob_: newBlob path failed for ${name}: ${err && err.message ? err.message : err}`);
   }
 
   try {
     const asPlain = blob.getAs && blob.getAs('text/plain');
-    const text = attempt(asPlain);
-    if (text !== null) return text;
+    const decoded = attempt(asPlain);
+    if (decoded !== null) return finish(decoded);
   } catch (err) {
     console.warn(`decodeTxtBlob_: getAs('text/plain') failed for ${name}: ${err && err.message ? err.message : err}`);
   }
 
   try {
     const copy = blob.copyBlob().setContentType('text/plain');
-    const text = attempt(copy);
-    if (text !== null) return text;
+    const decoded = attempt(copy);
+    if (decoded !== null) return finish(decoded);
   } catch (err) {
     console.warn(`decodeTxtBlob_: copyBlob().setContentType('text/plain') failed for ${name}: ${err && err.message ? err.message : err}`);
   }
@@ -1094,3 +4380,123 @@ function decodeTxtBlob_(blob, preferredCharset) {
   console.error(`decodeTxtBlob_: could not decode ${name} with any method.`);
   return null;
 }
+
+/** ────────────────────────────────────────────────
+ *  Charset detection
+ * ────────────────────────────────────────────────*/
+
+// Below this the caller's preferred charset is used instead of the guess.
+const CHARSET_MIN_CONFIDENCE = 0.6;
+
+// Detected charset → names tried with Blob.getDataAsString, in order.
+const CHARSET_DECODER_NAMES = {
+  'UTF-8': ['UTF-8'],
+  'UTF-16LE': ['UTF-16LE'],
+  'UTF-16BE': ['UTF-16BE'],
+  'EUC-JP': ['EUC-JP'],
+  'ISO-2022-JP': ['ISO-2022-JP'],
+  CP932: ['Windows-31J', 'MS932', 'Shift_JIS', 'SJIS'],
+  Shift_JIS: ['Windows-31J', 'MS932', 'Shift_JIS', 'SJIS']
+};
+
+/**
+ * Guesses the charset of raw bytes (Apps Script signed bytes are fine).
+ * Returns { charset, confidence (0–1), bom }. Candidates: UTF-8, UTF-16LE/BE,
+ * ISO-2022-JP, EUC-JP and CP932; ties go to UTF-8, then CP932.
+ */
+function detectCharset_(bytes) {
+  const b = Array.prototype.map.call(bytes || [], v => v & 0xff);
+  if (!b.length) return { charset: 'UTF-8', confidence: 0, bom: false };
+  if (b[0] === 0xef && b[1] === 0xbb && b[2] === 0xbf) return { charset: 'UTF-8', confidence: 1, bom: true };
+  if (b[0] === 0xff && b[1] === 0xfe) return { charset: 'UTF-16LE', confidence: 1, bom: true };
+  if (b[0] === 0xfe && b[1] === 0xff) return { charset: 'UTF-16BE', confidence: 1, bom: true };
+
+  const utf16 = guessBomlessUtf16_(b);
+  if (utf16) return utf16;
+
+  let highBytes = 0;
+  let escapes = 0;
+  for (let i = 0; i < b.length; i++) {
+    if (b[i] >= 0x80) highBytes++;
+    if (b[i] === 0x1b && (b[i + 1] === 0x24 || b[i + 1] === 0x28)) escapes++;
+  }
+  if (!highBytes) {
+    return escapes
+      ? { charset: 'ISO-2022-JP', confidence: 0.95, bom: false }
+      : { charset: 'UTF-8', confidence: 1, bom: false };
+  }
+
+  const scores = [
+    { charset: 'UTF-8', score: scoreUtf8_(b) },
+    { charset: 'CP932', score: scoreCp932_(b) },
+    { charset: 'EUC-JP', score: scoreEucJp_(b) }
+  ];
+  const best = scores.reduce((top, cur) => (cur.score > top.score ? cur : top));
+  return { charset: best.charset, confidence: Math.round(best.score * 100) / 100, bom: false };
+}
+
+// ASCII-heavy UTF-16 without a BOM has a NUL in every other byte.
+function guessBomlessUtf16_(b) {
+  if (b.length < 4 || b.length % 2) return null;
+  const sample = Math.min(b.length, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample; i++) {
+    if (b[i] === 0) {
+      if (i % 2) oddZeros++;
+      else evenZeros++;
+    }
+  }
+  const pairs = sample / 2;
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return { charset: 'UTF-16LE', confidence: 0.8, bom: false };
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return { charset: 'UTF-16BE', confidence: 0.8, bom: false };
+  return null;
+}
+
+// Share of well-formed multibyte sequences; valid Japanese UTF-8 scores 1.
+function scoreUtf8_(b) {
+  let valid = 0;
+  let invalid = 0;
+  for (let i = 0; i < b.length;) {
+    const v = b[i];
+    if (v < 0x80) { i++; continue; }
+    const len = v >= 0xc2 && v <= 0xdf ? 2 : v >= 0xe0 && v <= 0xef ? 3 : v >= 0xf0 && v <= 0xf4 ? 4 : 0;
+    let ok = len > 0 && i + len <= b.length;
+    for (let k = 1; ok && k < len; k++) ok = (b[i + k] & 0xc0) === 0x80;
+    if (ok) { valid++; i += len; } else { invalid++; i++; }
+  }
+  return valid + invalid ? valid / (valid + invalid) : 0;
+}
+
+// Half-width katakana only count a little: EUC-JP bytes read as CP932 come out as them.
+function scoreCp932_(b) {
+  let doubles = 0;
+  let kana = 0;
+  let invalid = 0;
+  for (let i = 0; i < b.length;) {
+    const v = b[i];
+    if (v < 0x80) { i++; continue; }
+    if (v >= 0xa1 && v <= 0xdf) { kana++; i++; continue; }
+    const lead = (v >= 0x81 && v <= 0x9f) || (v >= 0xe0 && v <= 0xfc);
+    const trail = b[i + 1];
+    if (lead && trail !== undefined && trail >= 0x40 && trail <= 0xfc && trail !== 0x7f) { doubles++; i += 2; } else { invalid++; i++; }
+  }
+  const total = doubles + kana + invalid;
+  return total ? (doubles + kana * 0.3) / total : 0;
+}
+
+function scoreEucJp_(b) {
+  let valid = 0;
+  let invalid = 0;
+  const isEucByte = (v) => v !== undefined && v >= 0xa1 && v <= 0xfe;
+  for (let i = 0; i < b.length;) {
+    const v = b[i];
+    if (v < 0x80) { i++; continue; }
+    if (v === 0x8e && b[i + 1] >= 0xa1 && b[i + 1] <= 0xdf) { valid++; i += 2; continue; }
+    if (v === 0x8f && isEucByte(b[i + 1]) && isEucByte(b[i + 2])) { valid++; i += 3; continue; }
+    if (isEucByte(v) && isEucByte(b[i + 1])) { valid++; i += 2; continue; }
+    invalid++;
+    i++;
+  }
+  return valid + invalid ? valid / (valid + invalid) : 0;
+}
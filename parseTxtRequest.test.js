@@ -1,10 +1,16 @@
 const assert = require('assert');
 
+const scriptProps = {};
 global.PropertiesService = {
   getScriptProperties() {
     return {
-      getProperty: () => '',
-      setProperty: () => {}
+      getProperty: key => (Object.prototype.hasOwnProperty.call(scriptProps, key) ? scriptProps[key] : null),
+      setProperty: (key, value) => {
+        if (String(value).length > 9 * 1024) throw new Error('Argument too large: value');
+        scriptProps[key] = String(value);
+      },
+      deleteProperty: (key) => { delete scriptProps[key]; },
+      getKeys: () => Object.keys(scriptProps)
     };
   }
 };
@@ -200,11 +206,850 @@ assert.strictEqual(parsedLatest.customerName, '佐藤京史朗');
 assert.strictEqual(parsedLatest.customerKana, 'サトウキョウシロウ');
 assert.strictEqual(parsedLatest.postalCode, '461-0003');
 assert.strictEqual(parsedLatest.state, '愛知県');
-assert.strictEqual(parsedLatest.city, '名古屋市');
-assert.strictEqual(parsedLatest.addressLine, '東区');
+assert.strictEqual(parsedLatest.city, '名古屋市東区');
+assert.strictEqual(parsedLatest.addressLine, '');
+assert.deepStrictEqual(parsedLatest.addressMatch, { prefecture: true, city: 'table' });
 assert.strictEqual(parsedLatest.email, 'kyontama1019@icloud.com');
 assert.strictEqual(parsedLatest.phone, '080-1579-1238');
 assert.strictEqual(parsedLatest.phone2, '');
 assert.strictEqual(parsedLatest.contactTime, '');
 
+assert.strictEqual(parsedLatest.normalized.mileageMinKm, 55001);
+assert.strictEqual(parsedLatest.normalized.mileageMaxKm, 60000);
+assert.strictEqual(parsedLatest.normalized.displacementCc, 3600);
+assert.strictEqual(parsedLatest.normalized.doorCount, 5);
+assert.strictEqual(parsedLatest.normalized.modelYear, 2018);
+assert.strictEqual(parsedLatest.normalized.inspectionDeadlineDate, null);
+assert.strictEqual(parsed.normalized.mileageMinKm, 20000);
+assert.strictEqual(parsed.normalized.mileageMaxKm, 20000);
+assert.strictEqual(parsed.normalized.displacementCc, 1800);
+assert.strictEqual(parsed.normalized.doorCount, 5);
+assert.strictEqual(parsed.normalized.modelYear, 2020);
+assert.strictEqual(parsed.normalized.inspectionDeadlineDate, '2025-03-31');
+assert.strictEqual(parsed.normalized.phoneType, 'mobile');
+assert.strictEqual(parsed.normalized.phone2, '03-1111-2222');
+assert.strictEqual(parsed.normalized.phone2Type, 'landline');
+assert.strictEqual(parsed.normalized.phone2E164, '+81311112222');
+assert.deepStrictEqual(parsed.validation, []);
+assert.deepStrictEqual(parseMileageRange_('５５，００１～６０，０００ｋｍ'), { min: 55001, max: 60000 });
+assert.deepStrictEqual(parseMileageRange_('1万km以下'), { min: null, max: 10000 });
+assert.deepStrictEqual(parseMileageRange_('10万km~'), { min: 100000, max: null });
+assert.strictEqual(parseDisplacementCc_('1.8L'), 1800);
+assert.strictEqual(parseDisplacementCc_('６６０ＣＣ'), 660);
+assert.strictEqual(parseDoorCount_('５ドア'), 5);
+assert.strictEqual(parseDoorCount_(''), null);
+assert.strictEqual(parseModelYear_('H30年'), 2018);
+assert.strictEqual(parseModelYear_('令和2年'), 2020);
+assert.strictEqual(parseModelYear_('令和元年式'), 2019);
+assert.strictEqual(parseModelYear_('Ｓ６３年'), 1988);
+assert.strictEqual(parseModelYear_('明治45年'), 1912);
+assert.strictEqual(parseModelYear_('不明'), null);
+assert.strictEqual(parseInspectionDeadline_('令和7年3月'), '2025-03-31');
+assert.strictEqual(parseInspectionDeadline_('R8.2'), '2026-02-28');
+assert.strictEqual(parseInspectionDeadline_('2024年2月'), '2024-02-29');
+assert.strictEqual(parseInspectionDeadline_('2025/04/15'), '2025-04-15');
+assert.strictEqual(parseInspectionDeadline_('車検なし'), null);
+
+const splitCases = [
+  ['東京都渋谷区1-2-3', '東京都', '渋谷区', '1-2-3', 'table'],
+  ['神奈川県横浜市保土ケ谷区岩間町1-1', '神奈川県', '横浜市保土ケ谷区', '岩間町1-1', 'table'],
+  ['北海道余市郡余市町黒川町1', '北海道', '余市郡余市町', '黒川町1', 'table'],
+  ['宮城県柴田郡村田町大字村田1', '宮城県', '柴田郡村田町', '大字村田1', 'table'],
+  ['東京都町田市原町田1-1', '東京都', '町田市', '原町田1-1', 'table'],
+  ['三重県四日市市諏訪町1', '三重県', '四日市市', '諏訪町1', 'table'],
+  ['奈良県大和郡山市北郡山町1', '奈良県', '大和郡山市', '北郡山町1', 'table'],
+  ['京都府京都市中京区寺町通', '京都府', '京都市中京区', '寺町通', 'table'],
+  ['愛知県北名古屋市西之保', '愛知県', '北名古屋市', '西之保', 'table'],
+  ['愛知県豊田市西町1', '愛知県', '豊田市', '西町1', 'table'],
+  ['大分県大分市府内町1', '大分県', '大分市', '府内町1', 'table'],
+  ['愛知県蒲郡市港町1-1', '愛知県', '蒲郡市', '港町1-1', 'table'],
+  ['蒲郡市港町1-1', '', '蒲郡市', '港町1-1', 'pattern'],
+  ['兵庫県赤穂郡上郡町大持1', '兵庫県', '赤穂郡上郡町', '大持1', 'table'],
+  ['香川県丸亀市郡家町1', '香川県', '丸亀市', '郡家町1', 'table'],
+  ['奈良県高市郡明日香村岡', '奈良県', '高市郡明日香村', '岡', 'table'],
+  ['北海道架空郡どこか町1', '北海道', '架空郡どこか町', '1', 'pattern'],
+  ['名古屋市東区泉1丁目', '愛知県', '名古屋市東区', '泉1丁目', 'table']
+];
+splitCases.forEach(([full, state, city, address, cityMatch]) => {
+  const split = splitJapaneseAddress_(full);
+  assert.deepStrictEqual(
+    { state: split.state, city: split.city, address: split.address, cityMatch: split.cityMatch },
+    { state, city, address, cityMatch },
+    full
+  );
+});
+const madeUpCity = parseTxtRequest_('ご住所：東京都あいうえお市1-1\n', 'Asia/Tokyo');
+assert.strictEqual(madeUpCity.city, 'あいうえお市');
+assert.deepStrictEqual(madeUpCity.addressIssues.map(i => i.message), ['city "あいうえお市" unverified (split by suffix rule only)']);
+assert.deepStrictEqual(madeUpCity.validation, []);
+assert.deepStrictEqual(parsedLatest.addressIssues, []);
+const unknownPref = splitJapaneseAddress_('架空県どこか');
+assert.strictEqual(unknownPref.prefectureRecognized, false);
+assert.strictEqual(unknownPref.cityMatch, 'none');
+
+const phoneFullWidth = normalizeJapanesePhone_('０９０ー１２３４ー５６７８');
+assert.strictEqual(phoneFullWidth.national, '090-1234-5678');
+assert.strictEqual(phoneFullWidth.e164, '+819012345678');
+assert.strictEqual(normalizeJapanesePhone_('+81 90 1234 5678').national, '090-1234-5678');
+assert.strictEqual(normalizeJapanesePhone_('09012345678').national, '090-1234-5678');
+assert.strictEqual(normalizeJapanesePhone_('052-123-4567').type, 'landline');
+assert.strictEqual(normalizeJapanesePhone_('0312345678').national, '03-1234-5678');
+assert.strictEqual(normalizeJapanesePhone_('+81 6 1234 5678').national, '06-1234-5678');
+assert.strictEqual(normalizeJapanesePhone_('0612345678').national, '06-1234-5678');
+assert.strictEqual(normalizeJapanesePhone_('0521234567').national, '0521234567');
+assert.strictEqual(normalizeJapanesePhone_('052-123-4567').national, '052-123-4567');
+assert.strictEqual(normalizeJapanesePhone_('0120123456').national, '0120-123-456');
+assert.strictEqual(normalizeJapanesePhone_('0120-123-456').type, 'tollfree');
+assert.strictEqual(normalizeJapanesePhone_('090-1234-567').valid, false);
+
+const badContacts = normalizeContactFields_({ phone: '12345', phone2: '', email: 'taro@@example.com' });
+assert.strictEqual(badContacts.values.phone, '');
+assert.strictEqual(badContacts.values.email, '');
+assert.deepStrictEqual(badContacts.issues.map(i => i.field), ['phone', 'email']);
+const typoContacts = normalizeContactFields_({ phone: '', phone2: '', email: 'Taro@GMAIL.CON' });
+assert.strictEqual(typoContacts.values.email, 'Taro@gmail.con');
+assert.strictEqual(typoContacts.issues[0].message, 'domain looks like a typo of gmail.com');
+
+assert.strictEqual(parsed.templateId, 'assessment-request');
+assert.strictEqual(parsedLatest.templateId, 'assessment-request');
+
+const genericTxt = `
+受付番号：A-0099
+受付日時：2025年1月5日 9時05分
+メーカー：ホンダ
+車名：フィット
+氏名：鈴木花子
+電話番号：0312345678
+`;
+const parsedGeneric = parseTxtRequest_(genericTxt, 'Asia/Tokyo');
+assert.strictEqual(parsedGeneric.templateId, 'generic-labels');
+assert.strictEqual(parsedGeneric.assessmentNumber, 'A-0099');
+assert.strictEqual(parsedGeneric.requestDateIso, '2025-01-05T00:05:00Z');
+assert.strictEqual(parsedGeneric.brand, 'ホンダ');
+assert.strictEqual(parsedGeneric.carModel, 'フィット');
+assert.strictEqual(parsedGeneric.customerName, '鈴木花子');
+assert.strictEqual(parsedGeneric.normalized.phone, '03-1234-5678');
+
+const dealerBlockTxt = `
+【査定依頼日時・査定依頼番号】
+　2025年12月21日 9時00分(2025122100001)
+
+【販売店情報】
+・店舗名：        サンプルモータース
+・電話番号：      052-000-0000
+・住所：          愛知県名古屋市中区栄1-1
+
+【依頼車両情報】
+・ブランド名：    トヨタ
+・車種名：        アクア
+
+【依頼者】
+・ご依頼者名：    田中一郎 様
+・ご住所：        愛知県豊田市元町1
+・電話番号：      090-0000-1111
+`;
+const parsedDealer = parseTxtRequest_(dealerBlockTxt, 'Asia/Tokyo');
+assert.strictEqual(parsedDealer.phone, '090-0000-1111');
+assert.strictEqual(parsedDealer.city, '豊田市');
+assert.strictEqual(parsedDealer.brand, 'トヨタ');
+assert.deepStrictEqual(parsedDealer.sections.map(sec => sec.name), ['査定依頼日時・査定依頼番号', '販売店情報', '依頼車両情報', '依頼者']);
+assert.strictEqual(parsedDealer.sections[1].fields['電話番号'], '052-000-0000');
+assert.strictEqual(parsedLatest.sections[2].fields['ご依頼者名'], '佐藤京史朗 様');
+
+const digestChunks = splitTxtRequests_(`${latestTemplateTxt.trim()}\n\n${dealerBlockTxt.trim()}`);
+assert.strictEqual(digestChunks.length, 2);
+assert.strictEqual(parseTxtRequest_(digestChunks[0], 'Asia/Tokyo').assessmentNumber, '2025122002839');
+assert.strictEqual(parseTxtRequest_(digestChunks[1], 'Asia/Tokyo').assessmentNumber, '2025122100001');
+assert.strictEqual(parseTxtRequest_(digestChunks[1], 'Asia/Tokyo').customerName, '田中一郎');
+assert.deepStrictEqual(splitTxtRequests_(sampleTxt), [sampleTxt]);
+
+assert.deepStrictEqual(parsed.diagnostics.missingRequired, []);
+assert.deepStrictEqual(parsedDealer.diagnostics.unrecognizedLabels, ['店舗名']);
+const junkDiagnostics = parseTxtRequest_('お問い合わせ内容：至急\n年式：不明\n', 'Asia/Tokyo').diagnostics;
+assert.deepStrictEqual(junkDiagnostics.unrecognizedLabels, ['お問い合わせ内容']);
+assert.deepStrictEqual(junkDiagnostics.missingRequired, ['assessmentNumber', 'customerName', 'phone|email']);
+assert.deepStrictEqual(junkDiagnostics.normalizationFailures.map(f => f.field), ['modelYear']);
+assert.deepStrictEqual(parseRequiredFieldsPolicy_('none'), []);
+const lenientDiagnostics = parseTxtRequest_(genericTxt, 'Asia/Tokyo', { requiredFields: parseRequiredFieldsPolicy_('assessmentNumber, normalized.email') }).diagnostics;
+assert.deepStrictEqual(lenientDiagnostics.missingRequired, ['normalized.email']);
+
+const charsetSample = 'ご依頼者名：山田太郎\n電話番号：090-1234-5678\n';
+assert.deepStrictEqual(detectCharset_(Buffer.from(charsetSample, 'utf8')), { charset: 'UTF-8', confidence: 1, bom: false });
+assert.strictEqual(detectCharset_(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(charsetSample)])).bom, true);
+assert.strictEqual(detectCharset_(Buffer.from('\ufeff' + charsetSample, 'utf16le')).charset, 'UTF-16LE');
+assert.strictEqual(detectCharset_(Buffer.from('Name: Taro\r\n', 'utf16le')).charset, 'UTF-16LE');
+// 山田太郎 / やまだ in CP932 and EUC-JP
+const cp932Bytes = [0x8e, 0x52, 0x93, 0x63, 0x91, 0xbe, 0x98, 0x59, 0x82, 0xe2, 0x82, 0xdc, 0x82, 0xbe];
+const eucBytes = [0xbb, 0xb3, 0xc5, 0xc4, 0xc2, 0xc0, 0xcf, 0xba, 0xa4, 0xe4, 0xa4, 0xde, 0xa4, 0xc0];
+assert.strictEqual(detectCharset_(cp932Bytes).charset, 'CP932');
+assert.strictEqual(detectCharset_(cp932Bytes.map(v => (v > 127 ? v - 256 : v))).charset, 'CP932');
+assert.strictEqual(detectCharset_(eucBytes).charset, 'EUC-JP');
+assert.strictEqual(detectCharset_(Buffer.from('\x1b$B;3ED\x1b(B', 'latin1')).charset, 'ISO-2022-JP');
+
+assert.deepStrictEqual(parseCsv_('a,"b ""q"", c","line1\r\nline2"\r\n\r\n1,,3'), [['a', 'b "q", c', 'line1\r\nline2'], ['1', '', '3']]);
+const csvLeads = splitCsvLeads_([
+  '受付番号,氏名,電話番号,メールアドレス,ご住所,備考',
+  'A-1,"佐藤 一郎",090-1111-2222,,"大阪府大阪市北区梅田1-1",',
+  'A-2,高橋花子,,hanako@example.com,京都府京都市,"至急\n夕方希望"'
+].join('\r\n'), 'leads.csv');
+assert.strictEqual(csvLeads.length, 2);
+assert.strictEqual(csvLeads[1].text, '査定依頼番号：A-2\nご依頼者名：高橋花子\n電話番号：\nメールアドレス：hanako@example.com\nご住所：京都府京都市\n備考：至急\n夕方希望');
+assert.strictEqual(csvLeads[1].labelValues['備考'], '至急\n夕方希望');
+const csvFirst = parseTxtRequest_(csvLeads[0].text, 'Asia/Tokyo', { labelValues: csvLeads[0].labelValues });
+assert.strictEqual(csvFirst.assessmentNumber, 'A-1');
+assert.strictEqual(csvFirst.customerName, '佐藤 一郎');
+assert.strictEqual(csvFirst.normalized.phone, '090-1111-2222');
+assert.strictEqual(csvFirst.city, '大阪市北区');
+const csvSecond = parseTxtRequest_(csvLeads[1].text, 'Asia/Tokyo', { labelValues: csvLeads[1].labelValues });
+assert.strictEqual(csvSecond.normalized.email, 'hanako@example.com');
+assert.deepStrictEqual(csvSecond.diagnostics.unrecognizedLabels, ['備考']);
+assert.strictEqual(csvSecond.sections[0].fields['備考'], '至急\n夕方希望');
+assert.deepStrictEqual(csvSecond.diagnostics.missingRequired, []);
+const csvMultiLine = splitCsvLeads_('受付番号,お名前,電話番号,クルマの状態\n' + 'A-3,鈴木,03-1234-5678,"右ドアに傷\r\nメールアドレス：spoof@example.com"', 'notes.csv');
+const csvThird = parseTxtRequest_(csvMultiLine[0].text, 'Asia/Tokyo', { labelValues: csvMultiLine[0].labelValues });
+assert.strictEqual(csvThird.carCondition, '右ドアに傷\nメールアドレス：spoof@example.com');
+assert.strictEqual(csvThird.email, '');
+
 console.log('parseTxtRequest_ latest template parsing ✅');
+
+const mappedLatest = mapTxtToSalesforcePayload_('latest.txt', latestTemplateTxt, 'Mail2X__c', 'Asia/Tokyo');
+assert.deepStrictEqual(mappedLatest.attributes, { type: 'Mail2X__c' });
+assert.strictEqual(mappedLatest.RequestDate__c, '2025-12-20T10:24:00Z');
+assert.strictEqual(mappedLatest.AssessmentNumber__c, '2025122002839');
+assert.strictEqual(mappedLatest.comment__c, '商品: PC / ボディタイプ: クロカン・ＳＵＶ / 書式: assessment-request');
+assert.strictEqual(mappedLatest.Phone__c, '080-1579-1238');
+assert.strictEqual(mappedLatest.Phone2__c, '');
+assert.strictEqual('ParserTemplate__c' in mappedLatest, false);
+const mappedSample = mapTxtToSalesforcePayload_('sample.txt', sampleTxt, 'Mail2X__c', 'Asia/Tokyo');
+assert.strictEqual(mappedSample.comment__c, '商品: 査定 / ボディタイプ: ハッチバック / クルマの状態: 良好 / 車検時期: 2025年3月 / 書式: assessment-request');
+assert.strictEqual(applyFieldMapping_(parsed, { InspectionDeadline__c: 'normalized.inspectionDeadlineDate' }, 'Mail2X__c').InspectionDeadline__c, '2025-03-31');
+
+const foreignContactTxt = latestTemplateTxt
+  .replace('080-1579-1238', '+1 415 555 0100 ext. 12')
+  .replace('kyontama1019@icloud.com', 'kyontama1019@icloud');
+const parsedForeign = parseTxtRequest_(foreignContactTxt, 'Asia/Tokyo');
+const mappedForeign = applyFieldMapping_(parsedForeign, DEFAULT_FIELD_MAPPING, 'Mail2X__c');
+assert.strictEqual(mappedForeign.Phone__c, '+1 415 555 0100 ext. 12');
+assert.strictEqual(mappedForeign.mail__c, 'kyontama1019@icloud');
+assert.strictEqual(mappedForeign.comment__c, '商品: PC / ボディタイプ: クロカン・ＳＵＶ / 要確認: ' + parsedForeign.validationSummary + ' / 書式: assessment-request');
+assert.strictEqual(mapTxtToSalesforcePayload_('generic.txt', genericTxt, 'Mail2X__c', 'Asia/Tokyo').comment__c, '書式: generic-labels');
+assert.ok(parsedForeign.validationSummary.startsWith('phone=+1 415 555 0100 ext. 12 ('));
+assert.deepStrictEqual(parsedForeign.diagnostics.missingRequired, []);
+
+const customMapping = Object.assign({}, DEFAULT_FIELD_MAPPING, {
+  maker__c: null,
+  Maker_Name__c: 'brand',
+  Source__c: { const: 'web' },
+  Vehicle__c: { template: '{brand} {carModel}' },
+  comment__c: { join: ' | ', parts: ['色: {bodyColor}', '燃料: {fuel}'] },
+  ParserTemplate__c: 'templateId'
+});
+const mappedCustom = mapTxtToSalesforcePayload_('latest.txt', latestTemplateTxt, 'Lead__c', 'Asia/Tokyo', customMapping);
+assert.strictEqual('maker__c' in mappedCustom, false);
+assert.strictEqual(mappedCustom.Maker_Name__c, 'ジープ');
+assert.strictEqual(mappedCustom.Source__c, 'web');
+assert.strictEqual(mappedCustom.Vehicle__c, 'ジープ ラングラー');
+assert.strictEqual(mappedCustom.comment__c, '燃料: ガソリン');
+assert.strictEqual(mappedCustom.ParserTemplate__c, 'assessment-request');
+assert.deepStrictEqual(mappedCustom.attributes, { type: 'Lead__c' });
+
+console.log('mapTxtToSalesforcePayload_ field mapping ✅');
+
+const zlib = require('zlib');
+
+// Minimal ZIP writer for the reader tests: { name (Buffer), data, method, password, zip64 }.
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach((file) => {
+    const data = Buffer.from(file.data);
+    const crc = crc32_(data);
+    let body = file.method === 8 ? zlib.deflateRawSync(data) : data;
+    let flags = file.utf8 ? 0x800 : 0;
+    if (file.aes) {
+      flags |= 1;
+      const { keyLength, saltLength } = WINZIP_AES_STRENGTHS[file.aes.strength];
+      const salt = Buffer.alloc(saltLength, 3);
+      const keys = pbkdf2Sha1_(encodeUtf8_(file.aesPassword), salt, 1000, keyLength * 2 + 2);
+      const cipher = aesCtrXor_(keys.subarray(0, keyLength), body);
+      const mac = hmacSha1_(keys.subarray(keyLength, keyLength * 2), cipher).subarray(0, 10);
+      body = Buffer.concat([salt, keys.subarray(keyLength * 2), cipher, mac]);
+    } else if (file.password) {
+      flags |= 1;
+      const keys = zipCryptoKeys_(file.password);
+      const header = Buffer.alloc(12, 7);
+      header[11] = crc >>> 24;
+      body = Buffer.from(Buffer.concat([header, body]).map((plain) => {
+        const cipher = plain ^ zipCryptoStreamByte_(keys);
+        zipCryptoUpdate_(keys, plain);
+        return cipher;
+      }));
+    }
+    let extra = Buffer.alloc(file.zip64 ? 28 : file.aes ? 11 : 0);
+    if (file.aes) {
+      extra.writeUInt16LE(0x9901, 0);
+      extra.writeUInt16LE(7, 2);
+      extra.writeUInt16LE(file.aes.version, 4);
+      extra.write('AE', 6, 'latin1');
+      extra.writeUInt8(file.aes.strength, 8);
+      extra.writeUInt16LE(file.method, 9);
+    }
+    if (file.zip64) {
+      extra.writeUInt16LE(1, 0);
+      extra.writeUInt16LE(24, 2);
+      extra.writeBigUInt64LE(BigInt(data.length), 4);
+      extra.writeBigUInt64LE(BigInt(body.length), 12);
+      extra.writeBigUInt64LE(BigInt(offset), 20);
+    }
+    if (file.unicodePath) {
+      const utf8Name = Buffer.from(file.unicodePath.name);
+      const field = Buffer.alloc(9);
+      field.writeUInt16LE(0x7075, 0);
+      field.writeUInt16LE(5 + utf8Name.length, 2);
+      field.writeUInt8(1, 4);
+      field.writeUInt32LE(file.unicodePath.crc === undefined ? crc32_(file.name) : file.unicodePath.crc, 5);
+      extra = Buffer.concat([extra, field, utf8Name]);
+    }
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(file.aes ? 99 : file.method, 8);
+    local.writeUInt32LE(file.aes && file.aes.version === 2 ? 0 : crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(file.name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(file.aes ? 99 : file.method, 10);
+    central.writeUInt32LE(file.aes && file.aes.version === 2 ? 0 : crc, 16);
+    central.writeUInt32LE(file.zip64 ? 0xffffffff : body.length, 20);
+    central.writeUInt32LE(file.zip64 ? 0xffffffff : data.length, 24);
+    central.writeUInt16LE(file.name.length, 28);
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt32LE(file.zip64 ? 0xffffffff : offset, 42);
+    locals.push(local, file.name, body);
+    centrals.push(central, file.name, extra);
+    offset += 30 + file.name.length + body.length;
+  });
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, cd, eocd]));
+}
+
+const zipText = 'ご依頼者名：山田太郎\n'.repeat(200);
+const zipBytes = buildZip([
+  { name: Buffer.from([0x88, 0xcb, 0x97, 0x8a, 0x2e, 0x74, 0x78, 0x74]), data: 'stored', method: 0 }, // 依頼.txt in CP932
+  { name: Buffer.from('査定/依頼.txt'), utf8: true, data: zipText, method: 8, zip64: true },
+  { name: Buffer.from('dir/'), data: '', method: 0 }
+]);
+assert.deepStrictEqual(readZipDirectory_(zipBytes).map(e => e.name), ['依頼.txt', '査定/依頼.txt', 'dir/']);
+const unicodePathZip = buildZip([
+  { name: Buffer.from('査定依頼.txt'), data: 'utf-8 name, bit 11 clear', method: 0, unicodePath: { name: '査定依頼.txt' } },
+  { name: Buffer.from('lead_1.txt'), data: 'ascii fallback name', method: 0, unicodePath: { name: '依頼_1.txt' } },
+  { name: Buffer.from('renamed.txt'), data: 'stale field', method: 0, unicodePath: { name: '古い名前.txt', crc: 0 } }
+]);
+assert.deepStrictEqual(readZipDirectory_(unicodePathZip).map(e => e.name), ['査定依頼.txt', '依頼_1.txt', 'renamed.txt']);
+const zipFiles = extractZipEntries_(zipBytes);
+assert.deepStrictEqual(zipFiles.map(f => f.name), ['依頼.txt', '査定/依頼.txt']);
+assert.strictEqual(Buffer.from(zipFiles[1].bytes).toString('utf8'), zipText);
+
+const lockedZip = buildZip([{ name: Buffer.from('lead.txt'), data: zipText, method: 8, password: 'p@ss' }]);
+assert.strictEqual(Buffer.from(extractZipEntries_(lockedZip, 'p@ss')[0].bytes).toString('utf8'), zipText);
+assert.throws(() => extractZipEntries_(lockedZip), err => err.code === 'ZIP_PASSWORD_REQUIRED');
+assert.throws(() => extractZipEntries_(lockedZip, 'nope'), err => err.code === 'ZIP_BAD_PASSWORD');
+const corruptZip = Uint8Array.from(zipBytes);
+corruptZip[40] ^= 0xff;
+assert.throws(() => extractZipEntries_(corruptZip), err => err.code === 'ZIP_CORRUPT');
+assert.throws(() => readZipDirectory_(new Uint8Array(10)), err => err.code === 'ZIP_CORRUPT');
+assert.strictEqual(crc32_(Buffer.from('123456789')), 0xcbf43926);
+
+const crypto = require('crypto');
+const hex = bytes => Buffer.from(bytes).toString('hex');
+assert.strictEqual(hex(sha1_(Buffer.from(zipText))), crypto.createHash('sha1').update(zipText).digest('hex'));
+assert.strictEqual(hex(pbkdf2Sha1_(encodeUtf8_('pw'), Buffer.from('salt'), 1000, 66)), crypto.pbkdf2Sync('pw', 'salt', 1000, 66, 'sha1').toString('hex'));
+const aesKey = Buffer.alloc(32, 9);
+const aesEcb = crypto.createCipheriv('aes-256-ecb', aesKey, null).setAutoPadding(false);
+assert.strictEqual(hex(aesEncryptBlock_(aesExpandKey_(aesKey), Buffer.alloc(16, 1))), aesEcb.update(Buffer.alloc(16, 1)).toString('hex'));
+
+const aesZip = buildZip([
+  { name: Buffer.from('ae2.txt'), data: zipText, method: 8, aes: { version: 2, strength: 3 }, aesPassword: 'パス123' },
+  { name: Buffer.from('ae1.txt'), data: 'stored lead', method: 0, aes: { version: 1, strength: 1 }, aesPassword: 'パス123' }
+]);
+const aesFiles = extractZipEntries_(aesZip, 'パス123');
+assert.strictEqual(Buffer.from(aesFiles[0].bytes).toString('utf8'), zipText);
+assert.strictEqual(Buffer.from(aesFiles[1].bytes).toString('utf8'), 'stored lead');
+assert.throws(() => extractZipEntries_(aesZip, 'wrong'), err => err.code === 'ZIP_BAD_PASSWORD');
+const tamperedAesZip = Uint8Array.from(aesZip);
+tamperedAesZip[30 + 7 + 18 + 5] ^= 0x01; // ciphertext byte of ae2.txt
+assert.throws(() => extractZipEntries_(tamperedAesZip, 'パス123'), err => err.code === 'ZIP_CORRUPT');
+
+// Known-answer vectors: SHA-1 (FIPS 180), HMAC-SHA1 (RFC 2202 #2), PBKDF2-HMAC-SHA1 (RFC 6070), AES (FIPS-197 C.1–C.3).
+assert.strictEqual(hex(sha1_(Buffer.from('abc'))), 'a9993e364706816aba3e25717850c26c9cd0d89d');
+assert.strictEqual(hex(hmacSha1_(Buffer.from('Jefe'), Buffer.from('what do ya want for nothing?'))), 'effcdf6ae5eb2fa2d27416d5f184df9c259a7c79');
+assert.strictEqual(hex(pbkdf2Sha1_(encodeUtf8_('password'), Buffer.from('salt'), 1, 20)), '0c60c80f961f0e71f3a9b524af6012062fe037a6');
+assert.strictEqual(hex(pbkdf2Sha1_(encodeUtf8_('password'), Buffer.from('salt'), 2, 20)), 'ea6c014dc72d6f8ccd1ed92ace1d41f0d8de8957');
+assert.strictEqual(hex(pbkdf2Sha1_(encodeUtf8_('password'), Buffer.from('salt'), 4096, 20)), '4b007901b765489abead49d926f721d065a429c1');
+assert.strictEqual(hex(pbkdf2Sha1_(encodeUtf8_('passwordPASSWORDpassword'), Buffer.from('saltSALTsaltSALTsaltSALTsaltSALTsalt'), 4096, 25)), '3d2eec4fe41c849b80c8d83662c0e44a8b291a964cf2f07038');
+const fipsKey = Buffer.from('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f', 'hex');
+const fipsPlain = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+assert.strictEqual(hex(aesEncryptBlock_(aesExpandKey_(fipsKey.subarray(0, 16)), fipsPlain)), '69c4e0d86a7b0430d8cdb78070b4c55a');
+assert.strictEqual(hex(aesEncryptBlock_(aesExpandKey_(fipsKey.subarray(0, 24)), fipsPlain)), 'dda97ca4864cdfe06eaf70a0ec0d7191');
+assert.strictEqual(hex(aesEncryptBlock_(aesExpandKey_(fipsKey), fipsPlain)), '8ea2b7ca516745bfeafc49904b496089');
+
+// AES-256 (AE-1, Deflate, data descriptor) archive written by archiver-zip-encrypted, password "kaitori-2025".
+const externalAesZip = new Uint8Array(Buffer.from(
+  'UEsDBDMACQBjANqdU10AAAAAAAAAAAAAAAAIAAsAbGVhZC50eHQBmQcAAQBBRQMIAPCAqHbPebWVEU/mrahEkkhDEUKGJf9+j/VrAkABIGodw5eXcWCD394frJRssnfSwcsKrlhddZy2SXbHpFEUqQWlUMq5UEsHCD+a5bNEAAAAIwAAAFBLAQItAzMACQBjANqdU10/muWzRAAAACMAAAAIAAsAAAAAAAAAIACkgQAAAABsZWFkLnR4dAGZBwABAEFFAwgAUEsFBgAAAAABAAEAQQAAAIUAAAAAAA==',
+  'base64'
+));
+assert.strictEqual(Buffer.from(extractZipEntries_(externalAesZip, 'kaitori-2025')[0].bytes).toString('utf8'), '査定依頼番号：2025122002839\n');
+assert.throws(() => extractZipEntries_(externalAesZip, 'kaitori-2024'), err => err.code === 'ZIP_BAD_PASSWORD');
+
+console.log('extractZipEntries_ built-in unzip ✅');
+
+const passwordPatterns = loadPasswordMailPatterns_();
+assert.deepStrictEqual(extractPasswordsFromText_('解凍パスワード：Ab3#xYz9\n', passwordPatterns), ['Ab3#xYz9']);
+assert.deepStrictEqual(extractPasswordsFromText_('パスワードは以下の通りです。\n\n  k8Pq2Lm\n\n以上', passwordPatterns), ['k8Pq2Lm']);
+assert.deepStrictEqual(extractPasswordsFromText_('【パスワード】\nQwe123\n', passwordPatterns), ['Qwe123']);
+assert.deepStrictEqual(extractPasswordsFromText_('パスワードは「abc123」です', passwordPatterns), ['abc123']);
+assert.deepStrictEqual(extractPasswordsFromText_('別途お送りします。', passwordPatterns), []);
+assert.strictEqual(isPasswordMailSubjectMatch_('査定依頼のお知らせ', '【パスワード通知】査定依頼のお知らせ'), true);
+assert.strictEqual(isPasswordMailSubjectMatch_('Re: 査定依頼', '査定依頼 パスワードのお知らせ'), true);
+assert.strictEqual(isPasswordMailSubjectMatch_('査定依頼', '請求書送付'), false);
+assert.strictEqual(isPasswordMailSubjectMatch_('査定', '査定依頼 パスワードのお知らせ'), false);
+assert.strictEqual(isPasswordMailSubjectMatch_('査定依頼のお知らせ', '査定依頼'), false);
+assert.strictEqual(extractEmailAddress_('"山田" <Sender@Example.com>'), 'sender@example.com');
+
+console.log('password mail pairing ✅');
+
+const keyring = { 'lead@dealer.example.jp': ['first'], 'example.jp': ['p@ss'], '*': ['fallback'] };
+const keyCandidates = keyringPasswordsFor_(keyring, 'lead@dealer.example.jp');
+assert.deepStrictEqual(keyCandidates.map(c => c.source), ['keyring:lead@dealer.example.jp#1', 'keyring:example.jp#1', 'keyring:*#1']);
+assert.deepStrictEqual(findWorkingZipPassword_(lockedZip, keyCandidates), { candidate: keyCandidates[1], verified: true });
+assert.strictEqual(findWorkingZipPassword_(lockedZip, keyCandidates.slice(2)), null);
+assert.strictEqual(findWorkingZipPassword_(aesZip, [{ password: 'x', source: 'a' }, { password: 'パス123', source: 'b' }]).candidate.source, 'b');
+const lzmaZip = buildZip([{ name: Buffer.from('lead.txt'), data: 'lzma stream', method: 14, password: 'p@ss' }]);
+assert.deepStrictEqual(findWorkingZipPassword_(lzmaZip, keyCandidates), { candidate: keyCandidates[1], verified: false });
+assert.deepStrictEqual(findWorkingZipPassword_(buildZip([{ name: Buffer.from('plain.txt'), data: 'x', method: 0 }]), keyCandidates), { candidate: keyCandidates[0], verified: false });
+delete scriptProps.ZIP_KEYRING_HITS;
+const lzmaUnlock = { message: { id: 'm1', internalDate: '0', payload: { headers: [{ name: 'From', value: 'lead@dealer.example.jp' }] } }, config: { passwordMailWindowMs: 0, zipKeyring: keyring, zipPassword: '' }, candidates: null, sources: [], pending: false };
+assert.strictEqual(unlockZip_(lzmaZip, 'lzma.zip', lzmaUnlock), 'p@ss');
+assert.deepStrictEqual(lzmaUnlock.sources, ['keyring:example.jp#1 (unverified)']);
+assert.strictEqual(scriptProps.ZIP_KEYRING_HITS, undefined);
+
+console.log('ZIP password keyring ✅');
+
+const attachmentPayload = {
+  parts: [
+    { filename: 'lead.TXT', mimeType: 'text/plain', body: { attachmentId: 't1', size: 10 } },
+    { filename: 'note.pdf', body: { attachmentId: 'p1' } },
+    { parts: [{ filename: 'outer.zip', body: { attachmentId: 'z1' } }] }
+  ]
+};
+assert.deepStrictEqual(listLeadAttachments_(attachmentPayload).map(a => `${a.kind}:${a.filename}`), ['txt:lead.TXT', 'zip:outer.zip']);
+
+const fakeBlob = (bytes, name) => {
+  let blobName = name;
+  return {
+    getName: () => blobName,
+    setName(next) { blobName = next; return this; },
+    getBytes: () => Array.from(bytes),
+    getDataAsString: charset => new TextDecoder(charset || 'utf-8').decode(Uint8Array.from(bytes))
+  };
+};
+const realNewBlob = Utilities.newBlob;
+Utilities.newBlob = (bytes, mimeType, name) => fakeBlob(Uint8Array.from(bytes, b => b & 0xff), name);
+const csvBodies = extractTxtBodies_([fakeBlob(Buffer.from('受付番号,備考\r\nA-9,"一行目\r\n二行目"\r\n'), 'leads.csv')], 'CP932');
+assert.deepStrictEqual(csvBodies.bodies, ['----- leads.csv -----\n査定依頼番号：A-9\n備考：一行目\n二行目']);
+assert.deepStrictEqual(csvBodies.positions[0].labelValues, { 査定依頼番号: 'A-9', 備考: '一行目\n二行目' });
+assert.strictEqual(extractTxtBodies_([fakeBlob(Buffer.from('査定依頼番号：A-9'), 'lead.txt')], 'CP932').positions[0].labelValues, undefined);
+const innerZip = buildZip([{ name: Buffer.from('lead.txt'), data: zipText, method: 8, password: 'p@ss' }]);
+const outerZip = buildZip([{ name: Buffer.from('inner.zip'), data: innerZip, method: 0 }, { name: Buffer.from('top.csv'), data: 'a,b', method: 0 }]);
+const nestedUnlock = depth => ({
+  message: { id: 'm1', internalDate: '0', payload: { headers: [{ name: 'From', value: 'lead@dealer.example.jp' }] } },
+  config: { zipMaxDepth: depth, passwordMailWindowMs: 0, zipKeyring: keyring, zipPassword: '' },
+  candidates: null,
+  sources: [],
+  pending: false
+});
+const deepUnlock = nestedUnlock(3);
+assert.deepStrictEqual(expandZipBlob_(fakeBlob(outerZip, 'outer.zip'), 'outer.zip', 1, deepUnlock).map(b => b.getName()), ['outer.zip/inner.zip/lead.txt', 'outer.zip/top.csv']);
+assert.deepStrictEqual(deepUnlock.sources, ['keyring:example.jp#1']);
+assert.deepStrictEqual(expandZipBlob_(fakeBlob(outerZip, 'outer.zip'), 'outer.zip', 1, nestedUnlock(1)).map(b => b.getName()), ['outer.zip/top.csv']);
+const smallUnlock = nestedUnlock(3);
+smallUnlock.config.zipMaxUncompressedBytes = innerZip.length + 3 + Buffer.byteLength(zipText) - 1;
+assert.throws(() => expandZipBlob_(fakeBlob(outerZip, 'outer.zip'), 'outer.zip', 1, smallUnlock), err => err.code === 'ZIP_TOO_LARGE' && /outer\.zip\/inner\.zip/.test(err.message));
+const deflate64Inner = buildZip([{ name: Buffer.from('lead.txt'), data: 'x', method: 0 }]);
+deflate64Inner[8] = 9; // local header method
+deflate64Inner[deflate64Inner.length - 22 - 46 - 8 + 10] = 9; // central directory method
+const deflate64Outer = buildZip([{ name: Buffer.from('inner.zip'), data: deflate64Inner, method: 8 }]);
+assert.throws(() => expandZipBlob_(fakeBlob(deflate64Outer, 'outer.zip'), 'outer.zip', 1, nestedUnlock(3)), /Unsupported ZIP outer\.zip\/inner\.zip: contains Deflate64/);
+Utilities.newBlob = realNewBlob;
+const lyingZip = buildZip([{ name: Buffer.from('bomb.txt'), data: 'a'.repeat(5000), method: 8 }]);
+lyingZip[22] = 100; // local uncompressed size
+lyingZip[lyingZip.length - 22 - 46 - 8 + 24] = 100; // central uncompressed size
+lyingZip[lyingZip.length - 22 - 46 - 8 + 25] = 0;
+assert.throws(() => extractZipEntries_(lyingZip), err => err.code === 'ZIP_CORRUPT' && /exceeds the declared 100 bytes/.test(err.message));
+
+scriptProps.ZIP_MAX_DEPTH = '0';
+assert.throws(() => parseIntegerProperty_('ZIP_MAX_DEPTH', 3, 1), /ZIP_MAX_DEPTH must be a whole number ≥ 1 \(got "0"\)/);
+scriptProps.ZIP_MAX_DEPTH = '1.5';
+assert.throws(() => parseIntegerProperty_('ZIP_MAX_DEPTH', 3, 1), /got "1\.5"/);
+scriptProps.ZIP_MAX_DEPTH = ' 2 ';
+assert.strictEqual(parseIntegerProperty_('ZIP_MAX_DEPTH', 3, 1), 2);
+delete scriptProps.ZIP_MAX_DEPTH;
+assert.strictEqual(parseIntegerProperty_('ZIP_MAX_DEPTH', 3, 1), 3);
+
+console.log('lead attachments & nested ZIPs ✅');
+
+Utilities.base64DecodeWebSafe = data => Array.from(Buffer.from(data, 'base64url'), b => (b > 127 ? b - 256 : b));
+const mailPart = (mimeType, headers, text) => ({
+  mimeType,
+  headers: Object.keys(headers).map(name => ({ name, value: headers[name] })),
+  body: { data: Buffer.from(text).toString('base64url') }
+});
+// Gmail returns body.data with the transfer encoding removed; "=4AB" here is JIS for 輯疎, not quoted-printable.
+const jisMail = {
+  mimeType: 'multipart/alternative',
+  parts: [mailPart('text/plain', { 'Content-Type': 'text/plain; charset=ISO-2022-JP', 'Content-Transfer-Encoding': 'quoted-printable' }, 'Name: \x1b$B;3ED\x1b(B =\x1b$B=4AB\x1b(B\r\n')]
+};
+assert.strictEqual(extractMessageText_(jisMail).trim(), 'Name: 山田 =輯疎');
+const htmlMail = {
+  mimeType: 'multipart/alternative',
+  parts: [mailPart('text/html', { 'Content-Type': 'text/html' }, `<div>${latestTemplateTxt.trim().split('\n').join('<br>')}</div><p>A &amp; B</p>`)]
+};
+const bodyLead = extractMailBodyLead_(htmlMail);
+assert.strictEqual(parseTxtRequest_(bodyLead, 'Asia/Tokyo').assessmentNumber, '2025122002839');
+assert.ok(bodyLead.endsWith('A & B'));
+assert.strictEqual(extractMailBodyLead_({ mimeType: 'text/plain', body: { data: Buffer.from('お世話になります').toString('base64url') } }), '');
+
+console.log('mail body leads ✅');
+
+const realProcessLeadAttachment = processLeadAttachment_;
+const attachmentCalls = [];
+let failSecond = true;
+global.processLeadAttachment_ = (message, meta) => {
+  attachmentCalls.push(meta.filename);
+  const outcome = newAttachmentOutcome_(meta.filename);
+  outcome.status = meta.filename === 'b.txt' && failSecond ? 'error' : 'processed';
+  return outcome;
+};
+const twoLeadMessage = {
+  id: 'msg-2',
+  threadId: 't-2',
+  internalDate: '1000',
+  payload: {
+    headers: [{ name: 'From', value: 'lead@dealer.example.jp' }],
+    parts: [
+      { partId: '1', filename: 'a.txt', body: { attachmentId: 'x1' } },
+      { partId: '2', filename: 'b.txt', body: { attachmentId: 'x2' } }
+    ]
+  }
+};
+const runConfig = { allowedSender: '', processedLabelId: 'L1', mailBodyLeads: false };
+assert.strictEqual(processZipMessage_(twoLeadMessage, runConfig).status, 'error');
+assert.deepStrictEqual(JSON.parse(scriptProps['ATTACHMENTS_DONE_msg-2']), ['1:a.txt']);
+failSecond = false;
+twoLeadMessage.payload.parts.forEach((part) => { part.body.attachmentId += '-refetched'; });
+const retried = processZipMessage_(twoLeadMessage, runConfig);
+assert.strictEqual(retried.status, 'processed');
+assert.deepStrictEqual(attachmentCalls, ['a.txt', 'b.txt', 'b.txt']);
+assert.strictEqual(retried.attachments[0].detail, 'handled by an earlier run');
+assert.strictEqual('ATTACHMENTS_DONE_msg-2' in scriptProps, false);
+global.processLeadAttachment_ = realProcessLeadAttachment;
+
+console.log('per-attachment completion ✅');
+
+let uuidCounter = 0;
+Utilities.getUuid = () => `uuid-${++uuidCounter}`;
+const parkSource = { messageId: 'msg-9', zipName: 'leads.zip' };
+parkRecord_(STATE_KEYS.deadLetterPrefix, parkSource, { name: 'a.txt', payload: { AssessmentNumber__c: 'A-1' } }, { outcome: 'error', error: 'INVALID_FIELD', status: 400 });
+parkRecord_(STATE_KEYS.deadLetterPrefix, parkSource, { name: 'b.txt', payload: { AssessmentNumber__c: 'A-2' } }, { outcome: 'error', error: 'x'.repeat(5000), status: 500 });
+assert.strictEqual(JSON.parse(scriptProps['DEAD_LETTER_uuid-1']).txtName, 'a.txt');
+assert.strictEqual(JSON.parse(scriptProps['DEAD_LETTER_uuid-2']).error.length, 1001);
+assert.strictEqual(parkRecord_(STATE_KEYS.deadLetterPrefix, parkSource, { name: 'huge.txt', payload: { comment__c: 'x'.repeat(10000) } }, { outcome: 'error', error: 'STRING_TOO_LONG' }), '');
+assert.strictEqual('DEAD_LETTER_uuid-3' in scriptProps, false);
+assert.deepStrictEqual(listDeadLetters(), ['uuid-1', 'uuid-2']);
+
+const realWriteRecordsForPark = writeSalesforceRecords_;
+const parkEvents = [];
+global.writeSalesforceRecords_ = (entries) => {
+  parkEvents.push(`write:${entries.map(e => e.name).join(',')}:${Object.keys(scriptProps).filter(k => k.indexOf('QUARANTINE_') === 0).length}`);
+  return entries.map(e => (e.name === 'ok.txt'
+    ? { name: e.name, outcome: 'created', id: '001', status: 201, error: '' }
+    : { name: e.name, outcome: 'error', id: '', status: 400, error: 'STRING_TOO_LONG' }));
+};
+const parkConfig = { searchTimezone: 'Asia/Tokyo', requiredFields: parseRequiredFieldsPolicy_(DEFAULTS.requiredFields) };
+const parkOutcome = postTxtBodiesToSalesforce_(
+  ['査定依頼番号：P-1\nご依頼者名：佐藤\n電話番号：090-1111-2222', '査定依頼番号：P-2', `査定依頼番号：P-3\nご依頼者名：鈴木\n電話番号：090-3333-4444\nクルマの状態：${'傷'.repeat(10000)}`],
+  ['ok.txt', 'partial.txt', 'huge.txt'],
+  parkConfig,
+  parkSource
+);
+assert.deepStrictEqual(parkEvents, ['write:ok.txt,huge.txt:1']);
+assert.deepStrictEqual(parkOutcome.records.map(r => [r.outcome, r.parkedAs]), [['created', undefined], ['quarantined', 'uuid-4'], ['error', '']]);
+assert.deepStrictEqual([parkOutcome.successCount, parkOutcome.errorCount, parkOutcome.quarantinedCount], [1, 1, 1]);
+assert.deepStrictEqual(listDeadLetters(), ['uuid-1', 'uuid-2']);
+deleteParkedEntry_(STATE_KEYS.quarantinePrefix, 'uuid-4');
+global.writeSalesforceRecords_ = realWriteRecordsForPark;
+
+const realWriteSalesforceRecords = writeSalesforceRecords_;
+global.writeSalesforceRecords_ = entries => entries.map(e => (e.name === 'a.txt'
+  ? { name: e.name, outcome: 'created', id: '001', status: 201, error: '' }
+  : { name: e.name, outcome: 'error', id: '', status: 503, error: 'SERVER_UNAVAILABLE' }));
+replayDeadLetters();
+assert.deepStrictEqual(listParkedEntries_(STATE_KEYS.deadLetterPrefix).map(e => e.id), ['uuid-2']);
+assert.strictEqual(listParkedEntries_(STATE_KEYS.deadLetterPrefix)[0].attempts, 2);
+assert.strictEqual(listParkedEntries_(STATE_KEYS.deadLetterPrefix)[0].error, 'SERVER_UNAVAILABLE');
+global.writeSalesforceRecords_ = realWriteSalesforceRecords;
+deleteParkedEntry_(STATE_KEYS.deadLetterPrefix, 'uuid-2');
+
+console.log('dead-letter store & replay ✅');
+
+const fakeResponse = (status, text, headers) => ({
+  getResponseCode: () => status,
+  getContentText: () => text || '',
+  getHeaders: () => headers || {}
+});
+assert.strictEqual(parseRetryAfterMs_(fakeResponse(503, '', { 'Retry-After': '7' })), 7000);
+assert.strictEqual(parseRetryAfterMs_(fakeResponse(503, '', { 'retry-after': new Date(Date.now() + 60000).toUTCString() })) > 50000, true);
+assert.strictEqual(parseRetryAfterMs_(fakeResponse(503, '', { 'Retry-After': 'soon' })), 0);
+assert.strictEqual(parseRetryAfterMs_(fakeResponse(503)), 0);
+assert.deepStrictEqual(classifyRetryableResponse_(fakeResponse(500, 'oops')), { reason: 'HTTP 500', retryAfterMs: 0 });
+assert.strictEqual(classifyRetryableResponse_(fakeResponse(403, '[{"errorCode":"REQUEST_LIMIT_EXCEEDED"}]')).reason, 'HTTP 403 REQUEST_LIMIT_EXCEEDED');
+assert.strictEqual(classifyRetryableResponse_(fakeResponse(400, 'INVALID_FIELD')), null);
+assert.strictEqual(classifyRetryableResponse_(fakeResponse(201, '{}')), null);
+assert.strictEqual(classifyRetryableInsertResponse_(fakeResponse(500, 'oops')), null);
+assert.strictEqual(classifyRetryableInsertResponse_(fakeResponse(503, 'SERVER_UNAVAILABLE', { 'Retry-After': '2' })).retryAfterMs, 2000);
+assert.strictEqual(classifyRetryableInsertResponse_(fakeResponse(429)).reason, 'HTTP 429');
+assert.strictEqual(classifyRetryableError_(new Error('Timeout: https://example.my.salesforce.com')).retryAfterMs, 0);
+assert.strictEqual(classifyRetryableError_(new Error('Service invoked too many times for one day: urlfetch.')), null);
+
+const sleeps = [];
+Utilities.sleep = ms => sleeps.push(ms);
+const retryConfig = { retryMaxAttempts: 3, retryBaseDelayMs: 100, retryMaxDelayMs: 1000 };
+let retryCalls = 0;
+assert.strictEqual(withRetry_('flaky', () => { if (++retryCalls < 3) throw new Error('Backend Error'); return 'ok'; }, retryConfig), 'ok');
+assert.strictEqual(sleeps.length, 2);
+retryCalls = 0;
+assert.throws(() => withRetry_('bad', () => { retryCalls++; throw new Error('Invalid argument'); }, retryConfig), /Invalid argument/);
+assert.strictEqual(retryCalls, 1);
+retryCalls = 0;
+const lastResp = withRetry_('busy', () => fakeResponse(503, `try ${++retryCalls}`, { 'Retry-After': '1' }), retryConfig, classifyRetryableResponse_);
+assert.strictEqual(lastResp.getContentText(), 'try 3');
+assert.deepStrictEqual(sleeps.slice(2), [1000, 1000]);
+retryCalls = 0;
+withRetry_('too long', () => fakeResponse(429, `try ${++retryCalls}`, { 'Retry-After': '60' }), retryConfig, classifyRetryableResponse_);
+assert.strictEqual(retryCalls, 1);
+
+const realFetch = UrlFetchApp.fetch;
+let fetchCalls = 0;
+UrlFetchApp.fetch = () => { fetchCalls++; throw new Error('Timeout: https://example.my.salesforce.com'); };
+assert.throws(() => salesforceFetch_('https://x/sobjects/Mail2X__c', { method: 'post' }, { accessToken: 't' }, retryConfig), /Timeout/);
+assert.strictEqual(fetchCalls, 1);
+fetchCalls = 0;
+UrlFetchApp.fetch = () => fakeResponse(++fetchCalls < 3 ? 500 : 204, '');
+assert.strictEqual(salesforceFetch_('https://x/sobjects/Mail2X__c/AssessmentNumber__c/A-1', { method: 'patch' }, { accessToken: 't' }, retryConfig).getResponseCode(), 204);
+fetchCalls = 0;
+assert.strictEqual(salesforceFetch_('https://x/sobjects/Mail2X__c', { method: 'post' }, { accessToken: 't' }, retryConfig).getResponseCode(), 500);
+assert.strictEqual(fetchCalls, 1);
+UrlFetchApp.fetch = realFetch;
+
+console.log('retry policy ✅');
+
+const authConfig = Object.assign({
+  salesforceAuthFlow: 'password',
+  salesforceClientId: 'cid',
+  salesforceClientSecret: 'secret',
+  salesforceUsername: 'user@example.jp',
+  salesforcePassword: 'pw',
+  salesforceLoginUrl: 'https://login.salesforce.com',
+  salesforceTokenTtlMs: 60000
+}, retryConfig);
+let tokenLogins = 0;
+let rejectTokens = ['tok-1'];
+const dataAuthHeaders = [];
+UrlFetchApp.fetch = (url, options) => {
+  if (/\/services\/oauth2\/token$/.test(url)) {
+    return fakeResponse(200, JSON.stringify({ access_token: `tok-${++tokenLogins}`, instance_url: 'https://example.my.salesforce.com' }));
+  }
+  const token = options.headers.Authorization.replace('Bearer ', '');
+  dataAuthHeaders.push(token);
+  return rejectTokens.indexOf(token) !== -1
+    ? fakeResponse(401, '[{"errorCode":"INVALID_SESSION_ID","message":"Session expired or invalid"}]')
+    : fakeResponse(200, '{}');
+};
+delete scriptProps.SALESFORCE_AUTH_CACHE;
+assert.deepStrictEqual(getSalesforceAuth_(authConfig), { accessToken: 'tok-1', instanceUrl: 'https://example.my.salesforce.com' });
+assert.strictEqual(getSalesforceAuth_(authConfig).accessToken, 'tok-1');
+assert.strictEqual(tokenLogins, 1);
+assert.strictEqual(getSalesforceAuth_(Object.assign({}, authConfig, { salesforceUsername: 'other@example.jp' })).accessToken, 'tok-2');
+const staleCache = JSON.parse(scriptProps.SALESFORCE_AUTH_CACHE);
+staleCache.issuedAt = Date.now() - 61000;
+scriptProps.SALESFORCE_AUTH_CACHE = JSON.stringify(staleCache);
+assert.strictEqual(getSalesforceAuth_(Object.assign({}, authConfig, { salesforceUsername: 'other@example.jp' })).accessToken, 'tok-3');
+assert.strictEqual(tokenLogins, 3);
+
+tokenLogins = 0;
+delete scriptProps.SALESFORCE_AUTH_CACHE;
+const sharedAuth = getSalesforceAuth_(authConfig);
+assert.strictEqual(salesforceFetch_('https://example.my.salesforce.com/services/data/v60.0/limits', { method: 'get' }, sharedAuth, authConfig).getResponseCode(), 200);
+assert.deepStrictEqual(dataAuthHeaders, ['tok-1', 'tok-2']);
+assert.strictEqual(tokenLogins, 2);
+assert.strictEqual(sharedAuth.accessToken, 'tok-2');
+assert.strictEqual(JSON.parse(scriptProps.SALESFORCE_AUTH_CACHE).accessToken, 'tok-2');
+dataAuthHeaders.length = 0;
+rejectTokens = ['tok-2', 'tok-3'];
+assert.strictEqual(salesforceFetch_('https://example.my.salesforce.com/services/data/v60.0/limits', { method: 'get' }, sharedAuth, authConfig).getResponseCode(), 401);
+assert.deepStrictEqual(dataAuthHeaders, ['tok-2', 'tok-3']);
+assert.strictEqual(tokenLogins, 3);
+delete scriptProps.SALESFORCE_AUTH_CACHE;
+UrlFetchApp.fetch = realFetch;
+
+console.log('Salesforce token cache & session refresh ✅');
+
+const upsertConfig = Object.assign({ salesforceApiVersion: '60.0', salesforceSobject: 'Mail2X__c' }, retryConfig);
+const upsertRequests = [];
+let upsertReply = () => fakeResponse(204, '');
+UrlFetchApp.fetch = (url, options) => {
+  upsertRequests.push({ url, method: options.method, body: JSON.parse(options.payload) });
+  return upsertReply();
+};
+upsertReply = () => fakeResponse(201, '{"id":"a01000000000001","success":true,"created":true}');
+const upsertCreated = upsertSalesforceRecord_('https://x', { accessToken: 't' }, upsertConfig, 'AssessmentNumber__c', 'new.txt', { AssessmentNumber__c: ' 2025/12 #1 ', Name__c: '山田' });
+assert.deepStrictEqual(upsertRequests[0], {
+  url: 'https://x/services/data/v60.0/sobjects/Mail2X__c/AssessmentNumber__c/2025%2F12%20%231',
+  method: 'patch',
+  body: { Name__c: '山田' }
+});
+assert.deepStrictEqual([upsertCreated.outcome, upsertCreated.status, upsertCreated.id], ['created', 201, 'a01000000000001']);
+upsertReply = () => fakeResponse(200, '{"id":"a01000000000001","success":true,"created":false}');
+const upsertUpdated = upsertSalesforceRecord_('https://x', { accessToken: 't' }, upsertConfig, 'AssessmentNumber__c', 'again.txt', { AssessmentNumber__c: 'A-1' });
+assert.deepStrictEqual([upsertUpdated.outcome, upsertUpdated.status, upsertUpdated.id], ['updated', 200, 'a01000000000001']);
+upsertReply = () => fakeResponse(204, '');
+const upsertNoContent = upsertSalesforceRecord_('https://x', { accessToken: 't' }, upsertConfig, 'AssessmentNumber__c', 'same.txt', { AssessmentNumber__c: 'A-1' });
+assert.deepStrictEqual([upsertNoContent.outcome, upsertNoContent.status, upsertNoContent.id], ['updated', 204, '']);
+upsertReply = () => fakeResponse(400, '[{"errorCode":"INVALID_FIELD"}]');
+const upsertRejected = upsertSalesforceRecord_('https://x', { accessToken: 't' }, upsertConfig, 'AssessmentNumber__c', 'bad.txt', { AssessmentNumber__c: 'A-1' });
+assert.deepStrictEqual([upsertRejected.outcome, upsertRejected.status, upsertRejected.error], ['error', 400, '[{"errorCode":"INVALID_FIELD"}]']);
+assert.strictEqual(upsertRequests.length, 4);
+['', '   ', undefined].forEach((assessmentNumber) => {
+  const missing = upsertSalesforceRecord_('https://x', { accessToken: 't' }, upsertConfig, 'AssessmentNumber__c', 'blank.txt', { AssessmentNumber__c: assessmentNumber });
+  assert.deepStrictEqual([missing.outcome, missing.error], ['error', 'missing AssessmentNumber__c; cannot upsert']);
+});
+assert.strictEqual(upsertRequests.length, 4);
+UrlFetchApp.fetch = realFetch;
+
+console.log('Salesforce upsert ✅');
+
+const collectionEntries = count => Array.from({ length: count }, (_, i) => ({ name: `r${i}.txt`, payload: { AssessmentNumber__c: `A-${i}` } }));
+const collectionConfig = Object.assign({ salesforceAllOrNone: true }, retryConfig);
+const collectionBodies = [];
+UrlFetchApp.fetch = (url, options) => {
+  const body = JSON.parse(options.payload);
+  collectionBodies.push(body);
+  return fakeResponse(200, JSON.stringify(body.records.map((_, i) => ({ id: `a0${i}`, success: true, created: true }))));
+};
+const missingKey = collectionEntries(2);
+missingKey[1].payload.AssessmentNumber__c = '';
+const missingKeyRecords = writeSalesforceCollection_('https://x', { accessToken: 't' }, collectionConfig, missingKey, 'AssessmentNumber__c');
+assert.deepStrictEqual(missingKeyRecords.map(r => r.outcome), ['error', 'error']);
+assert.strictEqual(missingKeyRecords[0].error, 'allOrNone batch not sent: 1 record(s) missing AssessmentNumber__c');
+assert.strictEqual(writeSalesforceCollection_('https://x', { accessToken: 't' }, collectionConfig, collectionEntries(201), '').every(r => r.outcome === 'error'), true);
+assert.strictEqual(collectionBodies.length, 0);
+const splitRecords = writeSalesforceCollection_('https://x', { accessToken: 't' }, Object.assign({}, collectionConfig, { salesforceAllOrNone: false }), collectionEntries(201), '');
+assert.deepStrictEqual(collectionBodies.map(b => b.records.length), [200, 1]);
+assert.strictEqual(splitRecords.every(r => r.outcome === 'created'), true);
+UrlFetchApp.fetch = realFetch;
+
+console.log('Salesforce collection batches ✅');
+
+const gmailGets = [];
+const gmailMessages = {
+  m1: { id: 'm1', threadId: 't1', internalDate: '3000', labelIds: [] },
+  m2: { id: 'm2', threadId: 't2', internalDate: '1000', labelIds: [] },
+  m3: { id: 'm3', threadId: 't3', internalDate: '2000', labelIds: ['L1'] },
+  m4: { id: 'm4', threadId: 't4', internalDate: '500', labelIds: [] }
+};
+Gmail.Users.Messages = {
+  list: (user, options) => (options.pageToken
+    ? { messages: [{ id: 'm4' }] }
+    : { messages: [{ id: 'm1' }, { id: 'm2' }, { id: 'm3' }], nextPageToken: 'p2' }),
+  get: (user, id, options) => {
+    gmailGets.push(`${id}:${options.format}`);
+    const payload = id === 'm2' ? { parts: [] } : { parts: [{ partId: '1', filename: 'lead.txt', body: { attachmentId: 'a' } }] };
+    return Object.assign({}, gmailMessages[id], options.format === 'full' ? { payload } : {});
+  },
+  modify: (body, user, id) => messageLabels.push(`${id}:${body.addLabelIds.join('+')}`)
+};
+const messageLabels = [];
+const pendingRefs = findPendingZipMessages_('q', { id: 'm4' }, 'L1', retryConfig);
+assert.deepStrictEqual(pendingRefs.map(m => m.id), ['m2', 'm1']);
+assert.deepStrictEqual(gmailGets, ['m1:minimal', 'm2:minimal', 'm3:minimal']);
+assert.strictEqual('payload' in pendingRefs[0], false);
+
+gmailGets.length = 0;
+const drained = [];
+const realProcessZipMessage = processZipMessage_;
+global.processZipMessage_ = (message) => {
+  drained.push(message.id);
+  return { messageId: message.id, status: 'processed' };
+};
+const realNow = Date.now;
+let clock = 0;
+Date.now = () => clock;
+assert.deepStrictEqual(drainPendingMessages_(pendingRefs, { maxRuntimeMs: 100, processedLabelId: 'L1' }, 0).map(r => r.messageId), ['m1']);
+assert.deepStrictEqual(gmailGets, ['m2:full', 'm1:full']);
+assert.deepStrictEqual(drained, ['m1']);
+assert.deepStrictEqual(messageLabels, ['m2:L1']);
+assert.strictEqual(scriptProps.LAST_PROCESSED_MESSAGE_ID, 'm2');
+gmailGets.length = 0;
+const slowRefs = [{ id: 'm1' }, { id: 'm4' }];
+global.processZipMessage_ = (message) => {
+  clock += 150;
+  return { messageId: message.id, status: 'processed' };
+};
+assert.deepStrictEqual(drainPendingMessages_(slowRefs, { maxRuntimeMs: 100 }, 0).map(r => r.messageId), ['m1']);
+assert.deepStrictEqual(gmailGets, ['m1:full']);
+gmailGets.length = 0;
+const realMessagesGet = Gmail.Users.Messages.get;
+Gmail.Users.Messages.get = (user, id, options) => {
+  clock += 60;
+  return realMessagesGet(user, id, options);
+};
+clock = 1000;
+assert.deepStrictEqual(findPendingZipMessages_('q', {}, 'L1', Object.assign({ maxRuntimeMs: 100 }, retryConfig), 1000).map(m => m.id), ['m2', 'm1']);
+assert.deepStrictEqual(gmailGets, ['m1:minimal', 'm2:minimal']);
+Gmail.Users.Messages.get = realMessagesGet;
+Date.now = realNow;
+global.processZipMessage_ = realProcessZipMessage;
+
+console.log('pending selection & runtime budget ✅');
+
+const modifiedLabels = [];
+Gmail.Users.Threads.modify = (body, user, threadId) => modifiedLabels.push(`${threadId}:${body.addLabelIds.join('+')}`);
+Gmail.Users.Labels.create = ({ name }) => ({ id: name === 'Unzip/needs-password' ? 'L-pw' : 'L1' });
+const expiredUnlock = nestedUnlock(3);
+expiredUnlock.config.zipKeyring = {};
+assert.throws(() => unlockZip_(innerZip, 'inner.zip', expiredUnlock), err => isZipPasswordError_(err) && err.code === 'ZIP_PASSWORD_REQUIRED');
+global.processLeadAttachment_ = (message, meta) => Object.assign(newAttachmentOutcome_(meta.filename), { status: 'locked', detail: 'password: none of 0 password candidate(s) opens b.txt' });
+const lockedResult = processZipMessage_(twoLeadMessage, Object.assign({ needsPasswordLabel: 'Unzip/needs-password' }, runConfig));
+assert.strictEqual(lockedResult.status, 'locked');
+assert.deepStrictEqual(modifiedLabels, ['t-2:L1+L-pw']);
+assert.deepStrictEqual(JSON.parse(scriptProps['ATTACHMENTS_DONE_msg-2'] || '[]'), []);
+global.processLeadAttachment_ = realProcessLeadAttachment;
+
+console.log('expired password window ✅');
+
+assert.strictEqual(resolveSalesforceJwtAudience_({ salesforceLoginUrl: 'https://acme.my.salesforce.com' }), 'https://login.salesforce.com');
+assert.strictEqual(resolveSalesforceJwtAudience_({ salesforceLoginUrl: 'https://acme--uat.sandbox.my.salesforce.com/' }), 'https://test.salesforce.com');
+assert.strictEqual(resolveSalesforceJwtAudience_({ salesforceLoginUrl: 'https://test.salesforce.com' }), 'https://test.salesforce.com');
+assert.strictEqual(resolveSalesforceJwtAudience_({ salesforceLoginUrl: 'https://acme.my.salesforce.com', salesforceJwtAudience: 'https://acme.my.site.com/' }), 'https://acme.my.site.com');
+
+console.log('Salesforce JWT audience ✅');